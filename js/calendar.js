@@ -14,30 +14,560 @@
         'December'
     ];
 
-    const YEAR = 2026;
-
-    const rawEvents = [
-        { title: 'AGM & Awards Night', months: [0], when: "Jan '26" },
-        { title: 'BASCI Badminton Open', months: [2], when: "Mar '26" },
-        { title: 'Friendship Cup 2026', months: [2], when: "Mar '26" },
-        { title: 'Roy Sinha Memorial Derby Cup', months: [3], when: "Apr '26" },
-        { title: 'BASCI Trail Expedition', months: [5, 6, 7], when: "Summer '26" },
-        { title: "Women’s Yoga Therapy", months: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11], when: 'Monthly' },
-        { title: 'BASCI 1 Day Tournament', months: [8], when: "Sept '26" }
-    ];
+    const WEEKDAY_NAMES = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+
+    const CATEGORY_LABELS = {
+        football: 'Football',
+        badminton: 'Badminton',
+        yoga: 'Yoga',
+        social: 'Social / AGM',
+        outdoor: 'Outdoor'
+    };
+
+    const ICS_WEEKDAYS = ['MO', 'TU', 'WE', 'TH', 'FR', 'SA', 'SU'];
+
+    const SESSION_ICONS = {
+        football: `
+            <svg viewBox="0 0 512 512" fill="currentColor" aria-hidden="true">
+                <path d="M256 32C132.3 32 32 132.3 32 256s100.3 224 224 224 224-100.3 224-224S379.7 32 256 32z"/>
+            </svg>
+        `,
+        footwork: `
+            <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <path d="M12 2a10 10 0 1 0 10 10A10.01 10.01 0 0 0 12 2zm1 15h-2v-6h2zm0-8h-2V7h2z"/>
+            </svg>
+        `,
+        badminton: `
+            <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+                <circle cx="12" cy="8" r="4"/>
+                <path d="M12 14c-4 0-8 2-8 4v2h16v-2c0-2-4-4-8-4z"/>
+            </svg>
+        `
+    };
+
+    const CLOCK_ICON = `
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <circle cx="12" cy="12" r="10"/>
+            <polyline points="12 6 12 12 16 14"/>
+        </svg>
+    `;
+
+    const PIN_ICON = `
+        <svg width="18" height="18" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+            <path d="M21 10c0 7-9 13-9 13s-9-6-9-13a9 9 0 0 1 18 0z"/>
+            <circle cx="12" cy="10" r="3"/>
+        </svg>
+    `;
+
+    const DEFAULT_FEED_URL = '../data/events.json';
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const ICS_TIMEZONE = 'Europe/Dublin';
+
+    const dateFormatter = new Intl.DateTimeFormat('en-IE', { weekday: 'short', day: 'numeric', month: 'short' });
+
+    let rawEvents = [];
+
+    // Bumped on every mount/destroy so a feed that arrives after the router
+    // has moved on to another page is ignored
+    let generation = 0;
+    let nextUpTimer = null;
+
+    // Active category chips and search text; mirrored in the URL query
+    // (?category=football,yoga&q=derby) so a filtered view can be shared.
+    const filters = {
+        categories: new Set(),
+        query: ''
+    };
+
+    // Feed dates are plain ISO calendar dates ("2026-04-18"). Parse them as
+    // local dates so a Dublin evening never slips to the previous day.
+    function parseDate(value) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value ?? '');
+        if (!match) return null;
+        return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    }
+
+    function daysBetween(start, end) {
+        return Math.round((end - start) / DAY_MS);
+    }
+
+    function addDays(date, days) {
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+    }
+
+    function isSameDay(a, b) {
+        return a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth() && a.getDate() === b.getDate();
+    }
+
+    function toISODate(date) {
+        const month = String(date.getMonth() + 1).padStart(2, '0');
+        const day = String(date.getDate()).padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+
+    function withTime(date, time) {
+        const [hours = 0, minutes = 0] = (time || '0:0').split(':').map(Number);
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes);
+    }
+
+    // Weekday index with Monday as 0, matching WEEKDAY_NAMES.
+    function getWeekdayIndex(date) {
+        return (date.getDay() + 6) % 7;
+    }
+
+    function normalizeRecurrence(raw) {
+        if (!raw) return null;
+
+        const weekday = WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === String(raw.weekday ?? '').toLowerCase());
+
+        return {
+            freq: raw.freq,
+            until: parseDate(raw.until),
+            count: Number(raw.count) || 0,
+            weekday: weekday === -1 ? null : weekday,
+            exceptions: new Set(Array.isArray(raw.exceptions) ? raw.exceptions : []),
+            venues: raw.venues ?? {}
+        };
+    }
+
+    function normalizeEvent(raw) {
+        let start = parseDate(raw.start);
+        if (!raw.title || !start) return null;
+
+        let end = parseDate(raw.end) ?? start;
+        if (end < start) end = start;
+
+        const recurrence = normalizeRecurrence(raw.recurrence);
+
+        // Weekly series begin on the first matching weekday on or after `start`,
+        // so DTSTART in exports is always a real instance.
+        if (recurrence?.freq === 'weekly' && recurrence.weekday !== null) {
+            const length = daysBetween(start, end);
+            start = addDays(start, (recurrence.weekday - getWeekdayIndex(start) + 7) % 7);
+            end = addDays(start, length);
+        }
 
-    function buildMonthMap() {
+        return {
+            id: raw.id ?? `${raw.title}-${raw.start}`,
+            kind: raw.kind ?? 'event',
+            title: raw.title,
+            description: raw.description ?? '',
+            icon: raw.icon ?? '',
+            link: raw.link ?? null,
+            start,
+            end,
+            startTime: raw.startTime ?? '',
+            endTime: raw.endTime ?? '',
+            venue: raw.venue ?? '',
+            category: raw.category ?? '',
+            recurrence
+        };
+    }
+
+    async function loadEvents(url) {
+        const response = await fetch(url, { cache: 'no-cache' });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const data = await response.json();
+        const list = Array.isArray(data) ? data : data.events;
+        if (!Array.isArray(list)) throw new Error('Feed has no events array');
+
+        return list.map(normalizeEvent).filter(Boolean);
+    }
+
+    // One request per feed for the calendar and any event countdowns on the
+    // page; cleared on destroy so the next visit fetches it fresh
+    const feedRequests = new Map();
+
+    function requestEvents(url) {
+        if (!feedRequests.has(url)) {
+            const request = loadEvents(url);
+            request.catch(() => feedRequests.delete(url));
+            feedRequests.set(url, request);
+        }
+        return feedRequests.get(url);
+    }
+
+    function getFeedUrl() {
+        return document.getElementById('calendar')?.dataset.calendarFeed || DEFAULT_FEED_URL;
+    }
+
+    function getDefaultHorizon(event) {
+        return new Date(Math.max(event.start.getFullYear(), new Date().getFullYear()), 11, 31);
+    }
+
+    /**
+     * Every { start, end, venue } span an event covers up to `horizon`.
+     * One-off events yield a single span. Monthly recurrences repeat on the
+     * same day of the month; weekly ones on `recurrence.weekday`, skipping
+     * `exceptions` and taking per-date `venues` overrides. Both stop at
+     * `recurrence.until` or after `recurrence.count` instances.
+     */
+    function getOccurrences(event, horizon = getDefaultHorizon(event)) {
+        const recurrence = event.recurrence;
+        if (recurrence?.freq !== 'monthly' && recurrence?.freq !== 'weekly') {
+            return [{ start: event.start, end: event.end, venue: event.venue }];
+        }
+
+        const length = daysBetween(event.start, event.end);
+        const until = recurrence.until && recurrence.until < horizon ? recurrence.until : horizon;
+        const count = recurrence.count || Infinity;
+        const occurrences = [];
+
+        for (let i = 0, instances = 0; instances < count; i++) {
+            const start = recurrence.freq === 'weekly'
+                ? addDays(event.start, i * 7)
+                : new Date(event.start.getFullYear(), event.start.getMonth() + i, event.start.getDate());
+            if (start > until) break;
+            // Skip months too short for the anchor day (e.g. the 31st)
+            if (start.getDate() !== event.start.getDate() && recurrence.freq === 'monthly') continue;
+
+            instances++;
+            const iso = toISODate(start);
+            if (recurrence.exceptions.has(iso)) continue;
+            occurrences.push({ start, end: addDays(start, length), venue: recurrence.venues[iso] ?? event.venue });
+        }
+
+        return occurrences;
+    }
+
+    function getNextOccurrence(event, now = new Date()) {
+        const horizon = new Date(now.getFullYear() + 1, now.getMonth(), now.getDate());
+        return getOccurrences(event, horizon)
+            .find(occurrence => withTime(occurrence.end, event.endTime || '23:59') > now) ?? null;
+    }
+
+    function getYearRange(events) {
+        const currentYear = new Date().getFullYear();
+        let min = currentYear;
+        let max = currentYear;
+
+        for (const event of events) {
+            for (const occurrence of getOccurrences(event)) {
+                min = Math.min(min, occurrence.start.getFullYear());
+                max = Math.max(max, occurrence.end.getFullYear());
+            }
+        }
+
+        return { min, max };
+    }
+
+    function buildMonthMap(year) {
         const map = new Map();
         for (let m = 0; m < 12; m++) map.set(m, []);
+
+        const horizon = new Date(year, 11, 31);
+
         for (const event of rawEvents) {
-            for (const monthIndex of event.months) {
-                if (!map.has(monthIndex)) continue;
-                map.get(monthIndex).push({ title: event.title, when: event.when });
+            for (const occurrence of getOccurrences(event, horizon)) {
+                for (let m = 0; m < 12; m++) {
+                    const monthStart = new Date(year, m, 1);
+                    const monthEnd = new Date(year, m + 1, 0);
+                    if (occurrence.start > monthEnd || occurrence.end < monthStart) continue;
+                    map.get(m).push({ event, ...occurrence });
+                }
             }
         }
+
+        for (const entries of map.values()) {
+            entries.sort((a, b) => a.start - b.start || a.event.title.localeCompare(b.event.title));
+        }
+
         return map;
     }
 
+    function formatTimeRange(event) {
+        if (!event.startTime) return '';
+        return event.endTime ? `${event.startTime}–${event.endTime}` : event.startTime;
+    }
+
+    function formatDuration(event) {
+        if (!event.startTime || !event.endTime) return '';
+
+        const minutes = (withTime(event.end, event.endTime) - withTime(event.start, event.startTime)) / 60000;
+        if (minutes <= 0) return '';
+        if (minutes % 60 === 0) return `${minutes / 60} hr`;
+        return minutes > 60 ? `${Math.floor(minutes / 60)} hr ${minutes % 60} min` : `${minutes} min`;
+    }
+
+    function formatWhen(entry) {
+        const { event, start, end } = entry;
+        const parts = [];
+
+        if (event.recurrence?.freq === 'weekly') {
+            parts.push(`Every ${WEEKDAY_NAMES[event.recurrence.weekday]}`);
+        } else {
+            parts.push(daysBetween(start, end) === 0
+                ? dateFormatter.format(start)
+                : `${dateFormatter.format(start)} – ${dateFormatter.format(end)}`);
+        }
+
+        const time = formatTimeRange(event);
+        if (time) parts.push(time);
+
+        const venue = entry.venue ?? event.venue;
+        if (venue) parts.push(venue);
+        if (event.recurrence?.freq === 'monthly') parts.push('Monthly');
+
+        return parts.join(' · ');
+    }
+
+    // ==========================================================================
+    // ICALENDAR (.ics) EXPORT - RFC 5545
+    // ==========================================================================
+
+    // Europe/Dublin as a VTIMEZONE so Outlook doesn't have to resolve the TZID.
+    const ICS_VTIMEZONE = [
+        'BEGIN:VTIMEZONE',
+        `TZID:${ICS_TIMEZONE}`,
+        'BEGIN:DAYLIGHT',
+        'TZOFFSETFROM:+0000',
+        'TZOFFSETTO:+0100',
+        'TZNAME:IST',
+        'DTSTART:19700329T010000',
+        'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+        'END:DAYLIGHT',
+        'BEGIN:STANDARD',
+        'TZOFFSETFROM:+0100',
+        'TZOFFSETTO:+0000',
+        'TZNAME:GMT',
+        'DTSTART:19701025T020000',
+        'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+        'END:STANDARD',
+        'END:VTIMEZONE'
+    ];
+
+    const utf8 = new TextEncoder();
+
+    function pad2(value) {
+        return String(value).padStart(2, '0');
+    }
+
+    function icsEscape(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    // Content lines are limited to 75 octets; continuation lines start with a space.
+    function foldLine(line) {
+        let folded = '';
+        let octets = 0;
+        for (const char of line) {
+            const size = utf8.encode(char).length;
+            if (octets + size > 75) {
+                folded += '\r\n ';
+                octets = 1;
+            }
+            folded += char;
+            octets += size;
+        }
+        return folded;
+    }
+
+    function formatICSDate(date) {
+        return `${date.getFullYear()}${pad2(date.getMonth() + 1)}${pad2(date.getDate())}`;
+    }
+
+    function formatICSDateTime(date, time) {
+        const [hours = '0', minutes = '0'] = time.split(':');
+        return `${formatICSDate(date)}T${pad2(hours)}${pad2(minutes)}00`;
+    }
+
+    function formatICSTimestamp(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    function buildRRule(event) {
+        const recurrence = event.recurrence;
+        let parts;
+
+        if (recurrence?.freq === 'monthly') {
+            parts = ['FREQ=MONTHLY'];
+        } else if (recurrence?.freq === 'weekly' && recurrence.weekday !== null) {
+            parts = ['FREQ=WEEKLY', `BYDAY=${ICS_WEEKDAYS[recurrence.weekday]}`];
+        } else {
+            return null;
+        }
+
+        if (recurrence.count) {
+            parts.push(`COUNT=${recurrence.count}`);
+        } else if (recurrence.until) {
+            // UNTIL must match DTSTART's value type: a DATE for all-day events,
+            // a UTC date-time for zoned ones.
+            parts.push(event.startTime
+                ? `UNTIL=${formatICSDate(recurrence.until)}T235959Z`
+                : `UNTIL=${formatICSDate(recurrence.until)}`);
+        }
+        return `RRULE:${parts.join(';')}`;
+    }
+
+    // Property parameters and value identifying one instance of a series,
+    // shared by EXDATE and RECURRENCE-ID.
+    function formatICSInstance(event, date) {
+        return event.startTime
+            ? `;TZID=${ICS_TIMEZONE}:${formatICSDateTime(date, event.startTime)}`
+            : `;VALUE=DATE:${formatICSDate(date)}`;
+    }
+
+    function buildICSTiming(event, start, end) {
+        if (event.startTime) {
+            return [
+                `DTSTART;TZID=${ICS_TIMEZONE}:${formatICSDateTime(start, event.startTime)}`,
+                event.endTime
+                    ? `DTEND;TZID=${ICS_TIMEZONE}:${formatICSDateTime(end, event.endTime)}`
+                    : 'DURATION:PT1H'
+            ];
+        }
+
+        // All-day events: DTEND is exclusive, so it is the day after the last day.
+        return [
+            `DTSTART;VALUE=DATE:${formatICSDate(start)}`,
+            `DTEND;VALUE=DATE:${formatICSDate(addDays(end, 1))}`
+        ];
+    }
+
+    function buildVEvent(event, stamp) {
+        const uid = `UID:${event.id}@${window.location.hostname || 'basci'}`;
+        const category = CATEGORY_LABELS[event.category];
+        const lines = ['BEGIN:VEVENT', uid, `DTSTAMP:${stamp}`, ...buildICSTiming(event, event.start, event.end)];
+
+        const rrule = buildRRule(event);
+        if (rrule) lines.push(rrule);
+
+        for (const iso of event.recurrence?.exceptions ?? []) {
+            const date = parseDate(iso);
+            if (date) lines.push(`EXDATE${formatICSInstance(event, date)}`);
+        }
+
+        lines.push(`SUMMARY:${icsEscape(event.title)}`);
+        if (event.venue) lines.push(`LOCATION:${icsEscape(event.venue)}`);
+        if (category) lines.push(`CATEGORIES:${icsEscape(category)}`);
+        lines.push('END:VEVENT');
+
+        // A venue change for one week is an overridden instance of the series
+        if (rrule) {
+            const length = daysBetween(event.start, event.end);
+            for (const [iso, venue] of Object.entries(event.recurrence.venues)) {
+                const date = parseDate(iso);
+                if (!date || event.recurrence.exceptions.has(iso)) continue;
+
+                lines.push(
+                    'BEGIN:VEVENT',
+                    uid,
+                    `DTSTAMP:${stamp}`,
+                    `RECURRENCE-ID${formatICSInstance(event, date)}`,
+                    ...buildICSTiming(event, date, addDays(date, length)),
+                    `SUMMARY:${icsEscape(event.title)}`,
+                    `LOCATION:${icsEscape(venue)}`
+                );
+                if (category) lines.push(`CATEGORIES:${icsEscape(category)}`);
+                lines.push('END:VEVENT');
+            }
+        }
+
+        return lines;
+    }
+
+    function buildICS(events, calendarName) {
+        const stamp = formatICSTimestamp(new Date());
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//BASCI//Club Calendar//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH',
+            `X-WR-CALNAME:${icsEscape(calendarName)}`,
+            `X-WR-TIMEZONE:${ICS_TIMEZONE}`
+        ];
+
+        if (events.some(event => event.startTime)) lines.push(...ICS_VTIMEZONE);
+        for (const event of events) lines.push(...buildVEvent(event, stamp));
+        lines.push('END:VCALENDAR');
+
+        return `${lines.map(foldLine).join('\r\n')}\r\n`;
+    }
+
+    function downloadICS(filename, contents) {
+        const blob = new Blob([contents], { type: 'text/calendar;charset=utf-8' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function getEventsInYear(year) {
+        return rawEvents.filter(event => getOccurrences(event, new Date(year, 11, 31)).some(occurrence =>
+            occurrence.start.getFullYear() <= year && occurrence.end.getFullYear() >= year));
+    }
+
+    // ==========================================================================
+    // FILTERS & SEARCH
+    // ==========================================================================
+
+    function isFiltering() {
+        return filters.categories.size > 0 || filters.query !== '';
+    }
+
+    function matchesFilters(event) {
+        if (filters.categories.size && !filters.categories.has(event.category)) return false;
+        if (!filters.query) return true;
+
+        const haystack = [event.title, event.venue, event.description, CATEGORY_LABELS[event.category]]
+            .join(' ')
+            .toLowerCase();
+        return haystack.includes(filters.query.toLowerCase());
+    }
+
+    function readFiltersFromURL() {
+        const params = new URLSearchParams(window.location.search);
+        filters.categories = new Set((params.get('category') ?? '')
+            .split(',')
+            .filter(category => category in CATEGORY_LABELS));
+        filters.query = (params.get('q') ?? '').trim();
+    }
+
+    function writeFiltersToURL() {
+        const url = new URL(window.location.href);
+        if (filters.categories.size) {
+            url.searchParams.set('category', [...filters.categories].join(','));
+        } else {
+            url.searchParams.delete('category');
+        }
+        if (filters.query) {
+            url.searchParams.set('q', filters.query);
+        } else {
+            url.searchParams.delete('q');
+        }
+        history.replaceState(history.state, '', url);
+    }
+
+    function renderFilterChips(chipsEl) {
+        chipsEl.innerHTML = '';
+        for (const [category, label] of Object.entries(CATEGORY_LABELS)) {
+            const chip = document.createElement('button');
+            chip.type = 'button';
+            chip.className = 'year-calendar__chip';
+            chip.dataset.category = category;
+            chip.textContent = label;
+            chipsEl.appendChild(chip);
+        }
+    }
+
+    function syncFilterControls(chipsEl, searchEl, clearBtn) {
+        chipsEl?.querySelectorAll('.year-calendar__chip').forEach(chip => {
+            chip.setAttribute('aria-pressed', filters.categories.has(chip.dataset.category) ? 'true' : 'false');
+        });
+        if (searchEl && searchEl.value.trim() !== filters.query) searchEl.value = filters.query;
+        if (clearBtn) clearBtn.hidden = !isFiltering();
+    }
+
     function createMonthButton(monthIndex, hasEvents) {
         const button = document.createElement('button');
         button.type = 'button';
@@ -58,34 +588,306 @@
         return button;
     }
 
-    function renderEvents(monthIndex, events, monthTitleEl, eventsEl, emptyEl) {
-        monthTitleEl.textContent = `${MONTH_NAMES[monthIndex]} ${YEAR}`;
+    function renderEvents(year, monthIndex, entries, monthTitleEl, eventsEl, emptyEl) {
+        monthTitleEl.textContent = `${MONTH_NAMES[monthIndex]} ${year}`;
         eventsEl.innerHTML = '';
 
-        if (!events.length) {
+        if (!entries.length) {
             emptyEl.style.display = 'block';
             return;
         }
 
         emptyEl.style.display = 'none';
-        for (const ev of events) {
+        const listedSeries = new Set();
+        for (const entry of entries) {
+            // A weekly series is listed once per month; the grid shows each date.
+            if (entry.event.recurrence?.freq === 'weekly') {
+                if (listedSeries.has(entry.event.id)) continue;
+                listedSeries.add(entry.event.id);
+            }
+
             const li = document.createElement('li');
             li.className = 'year-calendar__event';
+            if (entry.event.category) li.dataset.category = entry.event.category;
+            if (isFiltering()) li.classList.add(matchesFilters(entry.event) ? 'is-match' : 'is-dimmed');
 
             const title = document.createElement('div');
             title.className = 'year-calendar__event-title';
-            title.textContent = ev.title;
+            title.textContent = entry.event.title;
 
             const meta = document.createElement('div');
             meta.className = 'year-calendar__event-meta';
-            meta.textContent = ev.when;
+            meta.textContent = formatWhen(entry);
 
             li.appendChild(title);
+
+            const label = CATEGORY_LABELS[entry.event.category];
+            if (label) {
+                const tag = document.createElement('span');
+                tag.className = 'year-calendar__event-category';
+                tag.textContent = label;
+                li.appendChild(tag);
+            }
+
             li.appendChild(meta);
+
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'year-calendar__event-action';
+            action.dataset.icsEvent = entry.event.id;
+            action.textContent = 'Add to calendar';
+            action.setAttribute('aria-label', `Add ${entry.event.title} to your calendar`);
+
+            const actions = document.createElement('div');
+            actions.className = 'year-calendar__event-actions';
+            actions.appendChild(action);
+
+            // Upcoming one-off events take registrations (see registration.js)
+            if (entry.event.kind !== 'session' && withTime(entry.end, entry.event.endTime || '23:59') > new Date()) {
+                const register = document.createElement('button');
+                register.type = 'button';
+                register.className = 'year-calendar__event-action';
+                register.dataset.registerEvent = entry.event.id;
+                register.dataset.registerTitle = entry.event.title;
+                register.textContent = 'Register';
+                register.setAttribute('aria-label', `Register for ${entry.event.title}`);
+                actions.appendChild(register);
+            }
+
+            li.appendChild(actions);
+
             eventsEl.appendChild(li);
         }
     }
 
+    function createDayEvent(entry, date, weekday) {
+        const { event, start, end } = entry;
+        const isSpan = daysBetween(start, end) > 0;
+        const isStart = isSameDay(date, start);
+
+        const item = document.createElement('span');
+        item.className = 'year-calendar__day-event';
+        if (event.category) item.dataset.category = event.category;
+        if (isFiltering()) item.classList.add(matchesFilters(event) ? 'is-match' : 'is-dimmed');
+        item.title = `${event.title} · ${formatWhen(entry)}`;
+
+        if (isSpan) {
+            item.classList.add('year-calendar__day-event--span');
+            item.classList.toggle('year-calendar__day-event--span-start', isStart);
+            item.classList.toggle('year-calendar__day-event--span-end', isSameDay(date, end));
+        }
+
+        // Long spans repeat their label at the start of each week (and month)
+        // so a row is readable on its own; other days show a shaded bar only.
+        if (!isSpan || isStart || weekday === 0 || date.getDate() === 1) {
+            item.textContent = event.title;
+        } else {
+            item.setAttribute('aria-hidden', 'true');
+        }
+
+        return item;
+    }
+
+    function renderGrid(year, monthIndex, entries, gridEl) {
+        gridEl.innerHTML = '';
+
+        const table = document.createElement('table');
+        table.className = 'year-calendar__grid-table';
+        table.setAttribute('aria-labelledby', 'calendarMonthTitle');
+
+        const head = document.createElement('thead');
+        const headRow = document.createElement('tr');
+        for (const dayName of WEEKDAY_NAMES) {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            th.abbr = dayName;
+            th.textContent = dayName.slice(0, 3);
+            headRow.appendChild(th);
+        }
+        head.appendChild(headRow);
+        table.appendChild(head);
+
+        const firstOfMonth = new Date(year, monthIndex, 1);
+        const leadingDays = (firstOfMonth.getDay() + 6) % 7;
+        const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+        const weeks = Math.ceil((leadingDays + daysInMonth) / 7);
+        const gridStart = addDays(firstOfMonth, -leadingDays);
+        const today = new Date();
+
+        const body = document.createElement('tbody');
+        for (let week = 0; week < weeks; week++) {
+            const row = document.createElement('tr');
+
+            for (let weekday = 0; weekday < 7; weekday++) {
+                const date = addDays(gridStart, week * 7 + weekday);
+                const inMonth = date.getMonth() === monthIndex;
+
+                const cell = document.createElement('td');
+                cell.className = 'year-calendar__day';
+
+                const number = document.createElement('span');
+                number.className = 'year-calendar__day-number';
+                number.textContent = String(date.getDate());
+                cell.appendChild(number);
+
+                if (isSameDay(date, today)) {
+                    cell.classList.add('is-today');
+                    cell.setAttribute('aria-current', 'date');
+                }
+
+                if (!inMonth) {
+                    cell.classList.add('year-calendar__day--outside');
+                    row.appendChild(cell);
+                    continue;
+                }
+
+                const dayEntries = entries.filter(entry => date >= entry.start && date <= entry.end);
+                if (dayEntries.length) {
+                    cell.classList.add('year-calendar__day--has-events');
+                    const list = document.createElement('div');
+                    list.className = 'year-calendar__day-events';
+                    for (const entry of dayEntries) {
+                        if (daysBetween(entry.start, entry.end) > 0) cell.classList.add('year-calendar__day--span');
+                        list.appendChild(createDayEvent(entry, date, weekday));
+                    }
+                    cell.appendChild(list);
+                }
+
+                row.appendChild(cell);
+            }
+
+            body.appendChild(row);
+        }
+        table.appendChild(body);
+        gridEl.appendChild(table);
+    }
+
+    // ==========================================================================
+    // REGULAR SESSIONS
+    // ==========================================================================
+
+    function formatNextUp(event, now = new Date()) {
+        const next = getNextOccurrence(event, now);
+        if (!next) return { text: 'No upcoming sessions scheduled', venue: event.venue };
+
+        const day = isSameDay(next.start, now)
+            ? 'Today'
+            : isSameDay(next.start, addDays(now, 1)) ? 'Tomorrow' : dateFormatter.format(next.start);
+        const time = event.startTime ? `, ${event.startTime}` : '';
+
+        return { text: `Next up: ${day}${time}`, venue: next.venue, date: toISODate(next.start) };
+    }
+
+    function createSessionCard(event) {
+        const card = document.createElement('div');
+        card.className = 'session-card';
+        card.dataset.sessionId = event.id;
+
+        const icon = document.createElement('div');
+        icon.className = 'session-card__icon';
+        icon.innerHTML = SESSION_ICONS[event.icon] ?? SESSION_ICONS[event.category] ?? SESSION_ICONS.football;
+
+        const content = document.createElement('div');
+        content.className = 'session-card__content';
+
+        const title = document.createElement('h3');
+        title.className = 'session-card__title';
+        title.textContent = event.title;
+        content.appendChild(title);
+
+        const next = document.createElement('time');
+        next.className = 'session-card__next';
+        content.appendChild(next);
+
+        if (event.description) {
+            const description = document.createElement('p');
+            description.className = 'session-card__description';
+            description.textContent = event.description;
+            content.appendChild(description);
+        }
+
+        const schedule = document.createElement('div');
+        schedule.className = 'session-card__schedule';
+
+        const time = document.createElement('div');
+        time.className = 'session-card__time';
+        time.innerHTML = CLOCK_ICON;
+        const weekday = event.recurrence?.weekday;
+        const timeText = [
+            weekday !== null && weekday !== undefined ? `${WEEKDAY_NAMES[weekday]}s` : '',
+            formatTimeRange(event),
+            formatDuration(event) && `(${formatDuration(event)})`
+        ].filter(Boolean).join(' ');
+        time.append(timeText);
+        schedule.appendChild(time);
+
+        const location = document.createElement('div');
+        location.className = 'session-card__location';
+        location.innerHTML = PIN_ICON;
+        const venue = document.createElement('span');
+        venue.className = 'session-card__venue';
+        location.appendChild(venue);
+        schedule.appendChild(location);
+
+        content.appendChild(schedule);
+
+        if (event.link?.href) {
+            const actions = document.createElement('div');
+            actions.className = 'session-card__actions';
+
+            const link = document.createElement('a');
+            link.className = 'btn btn--primary btn--sm';
+            link.href = event.link.href;
+            link.textContent = event.link.label || 'Find out more';
+            if (/^https?:/.test(event.link.href)) {
+                link.target = '_blank';
+                link.rel = 'noopener';
+            }
+
+            actions.appendChild(link);
+            content.appendChild(actions);
+        }
+
+        card.appendChild(icon);
+        card.appendChild(content);
+        return card;
+    }
+
+    function updateNextUp(sessionsEl) {
+        const now = new Date();
+        sessionsEl.querySelectorAll('[data-session-id]').forEach(card => {
+            const event = rawEvents.find(item => item.id === card.dataset.sessionId);
+            if (!event) return;
+
+            const nextUp = formatNextUp(event, now);
+            const nextEl = card.querySelector('.session-card__next');
+            nextEl.textContent = nextUp.text;
+            if (nextUp.date) {
+                nextEl.dateTime = nextUp.date;
+            } else {
+                nextEl.removeAttribute('datetime');
+            }
+            card.querySelector('.session-card__venue').textContent = nextUp.venue;
+        });
+    }
+
+    function renderSessions(sessionsEl) {
+        const sessions = rawEvents.filter(event => event.kind === 'session');
+        if (!sessions.length) return;
+
+        sessionsEl.innerHTML = '';
+        for (const event of sessions) sessionsEl.appendChild(createSessionCard(event));
+        updateNextUp(sessionsEl);
+    }
+
+    function setView(rootEl, view, gridEl, eventsEl) {
+        rootEl.querySelectorAll('[data-calendar-view]').forEach(btn => {
+            btn.setAttribute('aria-pressed', btn.dataset.calendarView === view ? 'true' : 'false');
+        });
+        gridEl.hidden = view !== 'grid';
+        eventsEl.hidden = view !== 'list';
+    }
+
     function setSelectedMonth(rootEl, monthIndex) {
         rootEl.querySelectorAll('.year-calendar__month').forEach(btn => {
             const isSelected = Number(btn.dataset.month) === monthIndex;
@@ -94,37 +896,205 @@
         });
     }
 
-    function init() {
+    async function init() {
+        const mountId = ++generation;
+        const calendarEl = document.getElementById('calendar');
         const monthsRoot = document.getElementById('calendarMonths');
         const monthTitleEl = document.getElementById('calendarMonthTitle');
         const eventsEl = document.getElementById('calendarEvents');
         const emptyEl = document.getElementById('calendarEmpty');
+        const yearEl = document.getElementById('calendarYear');
+        const prevYearBtn = document.getElementById('calendarPrevYear');
+        const nextYearBtn = document.getElementById('calendarNextYear');
+        const gridEl = document.getElementById('calendarGrid');
+        const downloadYearBtn = document.getElementById('calendarDownloadYear');
+        const sessionsEl = document.getElementById('sessionsGrid');
+        const chipsEl = document.getElementById('calendarFilters');
+        const searchEl = document.getElementById('calendarSearch');
+        const clearFiltersBtn = document.getElementById('calendarClearFilters');
+        const summaryEl = document.getElementById('calendarFilterSummary');
 
         if (!monthsRoot || !monthTitleEl || !eventsEl || !emptyEl) return;
 
-        const monthMap = buildMonthMap();
-        monthsRoot.innerHTML = '';
+        const feedUrl = getFeedUrl();
+        const defaultEmptyText = emptyEl.textContent;
+
+        try {
+            rawEvents = await requestEvents(feedUrl);
+        } catch (error) {
+            console.warn(`Calendar: Could not load events from ${feedUrl}`, error);
+            rawEvents = [];
+            emptyEl.textContent = 'Events could not be loaded right now. Please try again later.';
+        }
+
+        if (mountId !== generation) return;
 
+        if (sessionsEl) {
+            renderSessions(sessionsEl);
+            // Keep "next up" current as sessions finish while the page is open
+            nextUpTimer = setInterval(() => updateNextUp(sessionsEl), 60 * 1000);
+        }
+
+        const range = getYearRange(rawEvents);
         const now = new Date();
-        const selectedMonth = now.getFullYear() === YEAR ? now.getMonth() : 0;
-
-        for (let monthIndex = 0; monthIndex < 12; monthIndex++) {
-            const events = monthMap.get(monthIndex) ?? [];
-            const button = createMonthButton(monthIndex, events.length > 0);
-            button.addEventListener('click', () => {
-                setSelectedMonth(monthsRoot, monthIndex);
-                renderEvents(monthIndex, events, monthTitleEl, eventsEl, emptyEl);
+        let year = Math.min(Math.max(now.getFullYear(), range.min), range.max);
+        let currentMonth = now.getFullYear() === year ? now.getMonth() : 0;
+
+        const showMonth = (monthIndex, entries) => {
+            currentMonth = monthIndex;
+            setSelectedMonth(monthsRoot, monthIndex);
+            renderEvents(year, monthIndex, entries, monthTitleEl, eventsEl, emptyEl);
+            if (gridEl) renderGrid(year, monthIndex, entries, gridEl);
+        };
+
+        const showYear = (selectedMonth) => {
+            const monthMap = buildMonthMap(year);
+            monthsRoot.innerHTML = '';
+
+            const filtering = isFiltering();
+            const matchingEvents = new Set();
+
+            for (let monthIndex = 0; monthIndex < 12; monthIndex++) {
+                const entries = monthMap.get(monthIndex) ?? [];
+                const matches = entries.filter(entry => matchesFilters(entry.event));
+                matches.forEach(entry => matchingEvents.add(entry.event.id));
+
+                // Regular sessions run every month, so only one-off events light the marker
+                const hasEvents = matches.some(entry => entry.event.kind !== 'session');
+                const button = createMonthButton(monthIndex, hasEvents);
+                button.classList.toggle('year-calendar__month--match', filtering && matches.length > 0);
+                button.addEventListener('click', () => showMonth(monthIndex, entries));
+                monthsRoot.appendChild(button);
+            }
+
+            if (summaryEl) {
+                summaryEl.textContent = filtering
+                    ? `${matchingEvents.size} ${matchingEvents.size === 1 ? 'event matches' : 'events match'} in ${year}`
+                    : '';
+            }
+
+            if (yearEl) yearEl.textContent = String(year);
+            if (prevYearBtn) prevYearBtn.disabled = year <= range.min;
+            if (nextYearBtn) nextYearBtn.disabled = year >= range.max;
+            if (downloadYearBtn) {
+                downloadYearBtn.disabled = getEventsInYear(year).length === 0;
+                downloadYearBtn.setAttribute('aria-label', `Download all ${year} events as a calendar file`);
+            }
+            if (rawEvents.length) emptyEl.textContent = defaultEmptyText;
+
+            showMonth(selectedMonth, monthMap.get(selectedMonth) ?? []);
+        };
+
+        eventsEl.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-ics-event]');
+            if (!button) return;
+
+            const event = rawEvents.find(item => item.id === button.dataset.icsEvent);
+            if (event) downloadICS(`${event.id}.ics`, buildICS([event], event.title));
+        });
+
+        downloadYearBtn?.addEventListener('click', () => {
+            const events = getEventsInYear(year);
+            if (events.length) downloadICS(`basci-${year}.ics`, buildICS(events, `BASCI ${year}`));
+        });
+
+        if (gridEl && calendarEl) {
+            calendarEl.querySelectorAll('[data-calendar-view]').forEach(btn => {
+                btn.addEventListener('click', () => setView(calendarEl, btn.dataset.calendarView, gridEl, eventsEl));
             });
-            monthsRoot.appendChild(button);
+            setView(calendarEl, 'grid', gridEl, eventsEl);
         }
 
-        setSelectedMonth(monthsRoot, selectedMonth);
-        renderEvents(selectedMonth, monthMap.get(selectedMonth) ?? [], monthTitleEl, eventsEl, emptyEl);
+        prevYearBtn?.addEventListener('click', () => {
+            if (year <= range.min) return;
+            year -= 1;
+            showYear(0);
+        });
+
+        nextYearBtn?.addEventListener('click', () => {
+            if (year >= range.max) return;
+            year += 1;
+            showYear(0);
+        });
+
+        const applyFilters = () => {
+            writeFiltersToURL();
+            syncFilterControls(chipsEl, searchEl, clearFiltersBtn);
+            showYear(currentMonth);
+        };
+
+        if (chipsEl) {
+            renderFilterChips(chipsEl);
+            chipsEl.addEventListener('click', (e) => {
+                const chip = e.target.closest('.year-calendar__chip');
+                if (!chip) return;
+
+                const category = chip.dataset.category;
+                if (filters.categories.has(category)) {
+                    filters.categories.delete(category);
+                } else {
+                    filters.categories.add(category);
+                }
+                applyFilters();
+            });
+        }
+
+        searchEl?.addEventListener('input', () => {
+            filters.query = searchEl.value.trim();
+            applyFilters();
+        });
+
+        clearFiltersBtn?.addEventListener('click', () => {
+            filters.categories.clear();
+            filters.query = '';
+            applyFilters();
+        });
+
+        readFiltersFromURL();
+        syncFilterControls(chipsEl, searchEl, clearFiltersBtn);
+
+        showYear(currentMonth);
+    }
+
+    function destroy() {
+        generation += 1;
+        clearInterval(nextUpTimer);
+        nextUpTimer = null;
+        feedRequests.clear();
+    }
+
+    // ==========================================================================
+    // COUNTDOWNS
+    // ==========================================================================
+
+    /**
+     * Start of the next date of `series`: an event id, or the id prefix each
+     * year's edition shares ('derby-cup' matches 'derby-cup-2026'). Null when
+     * nothing is scheduled. Used by `data-count-event` counters in main.js.
+     */
+    async function getNextEventDate(series, url = getFeedUrl()) {
+        const now = new Date();
+        const starts = (await requestEvents(url))
+            .filter(event => event.id === series || event.id.startsWith(`${series}-`))
+            .map(event => getNextOccurrence(event, now)?.start)
+            .filter(Boolean);
+
+        return starts.length ? new Date(Math.min(...starts)) : null;
     }
 
-    if (document.readyState === 'loading') {
-        document.addEventListener('DOMContentLoaded', init);
-    } else {
-        init();
+    window.BasciCalendar = { getNextEventDate };
+
+    // Mounted on #calendar by the component registry (see Components in main.js)
+    class YearCalendar {
+        mount() {
+            init();
+            return this;
+        }
+
+        destroy() {
+            destroy();
+        }
     }
+
+    Components.define('calendar', YearCalendar, '#calendar');
 })();
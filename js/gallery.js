@@ -0,0 +1,545 @@
+/**
+ * ==========================================================================
+ * BASCI Website - Photo Gallery
+ * ==========================================================================
+ *
+ * Albums from a JSON manifest (data/gallery.json, or the URL in
+ * `data-gallery`) shown as a masonry grid with an album filter. Photos open
+ * in a full-screen lightbox built on Slider (js/slider.js, loaded first):
+ * swipe, arrow keys, zoom and captions. Thumbnails and photos load through
+ * LazyLoad and the slider's `lazyLoad`.
+ *
+ * Deep links: `gallery.html#<album>` filters the grid to an album and
+ * `gallery.html#<album>/<photo>` opens a photo.
+ */
+
+'use strict';
+
+const galleryDateFormatter = new Intl.DateTimeFormat('en-IE', { day: 'numeric', month: 'long', year: 'numeric' });
+
+// ==========================================================================
+// LIGHTBOX
+// ==========================================================================
+
+/**
+ * Full-screen viewer for a list of photos. One Slider, whose slides are
+ * replaced whenever the lightbox opens on a different list.
+ */
+class GalleryLightbox {
+    constructor({ onChange, onClose }) {
+        this.onChange = onChange;
+        this.onClose = onClose;
+        this.photos = null;
+        this.slider = null;
+        this.isOpen = false;
+        this.isZoomed = false;
+        this.controller = new AbortController();
+        this.createModal();
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'lightbox';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-hidden', 'true');
+        modal.setAttribute('aria-labelledby', 'lightboxCaption');
+        modal.innerHTML = `
+            <div class="lightbox__content">
+                <div class="lightbox__bar">
+                    <p class="lightbox__counter"></p>
+                    <button type="button" class="lightbox__button lightbox__zoom" aria-pressed="false" aria-label="Zoom in">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <circle cx="11" cy="11" r="7"/>
+                            <path d="M21 21l-5-5M11 8v6M8 11h6"/>
+                        </svg>
+                    </button>
+                    <button type="button" class="lightbox__button lightbox__close" aria-label="Close photo">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                </div>
+                <div class="lightbox__slider slider" aria-label="Photos">
+                    <div class="slider__track"></div>
+                </div>
+                <p class="lightbox__caption" id="lightboxCaption"></p>
+            </div>
+        `;
+        document.body.appendChild(modal);
+
+        this.modal = modal;
+        this.sliderEl = $('.lightbox__slider', modal);
+        this.track = $('.slider__track', modal);
+        this.counter = $('.lightbox__counter', modal);
+        this.caption = $('.lightbox__caption', modal);
+        this.zoomBtn = $('.lightbox__zoom', modal);
+        this.closeBtn = $('.lightbox__close', modal);
+
+        const { signal } = this.controller;
+        this.closeBtn.addEventListener('click', () => this.onClose(), { signal });
+        this.zoomBtn.addEventListener('click', () => this.setZoom(!this.isZoomed), { signal });
+
+        // Double-click (or double-tap) zooms in on that spot; a zoomed photo
+        // follows the pointer
+        this.track.addEventListener('dblclick', (e) => {
+            if (e.target.closest('.lightbox__image')) this.setZoom(!this.isZoomed, e);
+        }, { signal });
+        this.track.addEventListener('pointermove', (e) => {
+            if (this.isZoomed) this.panTo(e);
+        }, { signal });
+
+        // Slider events, whichever slider instance currently runs the track
+        this.sliderEl.addEventListener('beforeChange', () => this.setZoom(false), { signal });
+        this.sliderEl.addEventListener('slideChange', (e) => this.showCaption(e.detail.currentSlide), { signal });
+
+        document.addEventListener('keydown', (e) => {
+            if (this.isOpen) this.handleKeydown(e);
+        }, { signal });
+    }
+
+    /**
+     * Shows `photos[index]`. Photos load as they come into view (and one
+     * either side); long lists only keep a few slides in the page.
+     */
+    open(photos, index) {
+        if (!this.isOpen) {
+            this.isOpen = true;
+            this.modal.classList.add('is-active');
+            this.modal.setAttribute('aria-hidden', 'false');
+            document.body.style.overflow = 'hidden';
+            this.closeBtn.focus();
+        }
+
+        this.setPhotos(photos);
+        this.slider.goToSlide(index, false);
+    }
+
+    setPhotos(photos) {
+        if (photos === this.photos) return;
+
+        this.slider?.destroy();
+        this.track.replaceChildren(...photos.map(photo => this.createSlide(photo)));
+        this.photos = photos;
+        this.slider = new Slider(this.sliderEl, {
+            infinite: false,
+            dots: false,
+            gap: 0,
+            lazyLoad: true,
+            virtual: true,
+            speed: prefersReducedMotion() ? 0 : 300
+        });
+    }
+
+    createSlide(photo) {
+        const slide = document.createElement('figure');
+        slide.className = 'slider__slide lightbox__slide';
+
+        const image = document.createElement('img');
+        image.className = 'lightbox__image';
+        image.dataset.src = photo.src;
+        image.alt = photo.alt;
+        if (photo.width && photo.height) {
+            image.width = photo.width;
+            image.height = photo.height;
+        }
+
+        slide.appendChild(image);
+        return slide;
+    }
+
+    showCaption(index) {
+        const photo = this.photos[index];
+        const { album } = photo;
+        const date = album.date ? ` · ${galleryDateFormatter.format(album.date)}` : '';
+
+        this.counter.textContent = `${album.title}${date} · ${index + 1} of ${this.photos.length}`;
+        this.caption.textContent = photo.caption;
+        this.onChange(photo);
+    }
+
+    close() {
+        if (!this.isOpen) return;
+
+        this.setZoom(false);
+        this.isOpen = false;
+        this.modal.classList.remove('is-active');
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+    }
+
+    getCurrentImage() {
+        return this.slider?.slides[this.slider.currentSlide]?.querySelector('.lightbox__image') ?? null;
+    }
+
+    /**
+     * Zooms the current photo to twice its size, at `point` (a pointer
+     * event) if given. While zoomed, dragging pans instead of changing slides.
+     */
+    setZoom(zoomed, point) {
+        const image = this.getCurrentImage();
+        this.isZoomed = zoomed;
+
+        $$('.lightbox__image.is-zoomed', this.track).forEach(el => {
+            el.classList.remove('is-zoomed');
+            el.style.transformOrigin = '';
+        });
+        if (zoomed && image) {
+            image.classList.add('is-zoomed');
+            if (point) this.panTo(point);
+        }
+
+        this.zoomBtn.setAttribute('aria-pressed', String(zoomed));
+        this.zoomBtn.setAttribute('aria-label', zoomed ? 'Zoom out' : 'Zoom in');
+        if (this.slider && this.slider.options.touchEnabled === zoomed) {
+            this.slider.setOption('touchEnabled', !zoomed);
+        }
+    }
+
+    panTo({ clientX, clientY }) {
+        const image = this.getCurrentImage();
+        if (!image) return;
+
+        // Measured on the slide: the scaled image's own box moves with the zoom
+        const rect = image.parentNode.getBoundingClientRect();
+        const x = (clientX - rect.left - image.offsetLeft) / image.offsetWidth;
+        const y = (clientY - rect.top - image.offsetTop) / image.offsetHeight;
+        const percent = (value) => `${Math.min(Math.max(value, 0), 1) * 100}%`;
+
+        image.style.transformOrigin = `${percent(x)} ${percent(y)}`;
+    }
+
+    getFocusable() {
+        return $$('button, [href], [tabindex]:not([tabindex="-1"])', this.modal)
+            .filter(el => !el.disabled && !el.closest('[hidden], [inert]'));
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            if (this.isZoomed) {
+                this.setZoom(false);
+            } else {
+                this.onClose();
+            }
+            return;
+        }
+
+        // Inside the slider its own keyboard handling applies
+        if (!this.sliderEl.contains(e.target)) {
+            if (e.key === 'ArrowLeft') this.slider.prev();
+            if (e.key === 'ArrowRight') this.slider.next();
+        }
+
+        // Keep Tab inside the dialog
+        if (e.key === 'Tab') {
+            const focusable = this.getFocusable();
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    }
+
+    destroy() {
+        this.close();
+        this.controller.abort();
+        this.slider?.destroy();
+        this.modal.remove();
+    }
+}
+
+// ==========================================================================
+// GALLERY
+// ==========================================================================
+
+class PhotoGallery {
+    constructor() {
+        this.controller = new AbortController();
+        this.albums = [];
+        this.photos = [];
+        // Album filter: an album id, or null for every photo
+        this.album = null;
+        this.current = null;
+        this.lightbox = null;
+        this.isDestroyed = false;
+    }
+
+    mount(root) {
+        this.root = root;
+        this.filters = $('.gallery-page__filters', root);
+        this.grid = $('.gallery-page__grid', root);
+        this.status = $('.gallery-page__status', root);
+        this.load();
+        return this;
+    }
+
+    async load() {
+        const url = this.root.dataset.gallery || getRootPath('data/gallery.json');
+
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const manifest = await response.json();
+            if (!Array.isArray(manifest.albums)) throw new Error('Manifest has no albums array');
+            if (this.isDestroyed) return;
+
+            this.parse(manifest, new URL(url, window.location.href));
+        } catch (error) {
+            if (this.isDestroyed) return;
+
+            console.warn(`Gallery: Could not load albums from ${url}`, error);
+            this.status.textContent = 'Photos could not be loaded right now. Our latest posts are on Facebook and Instagram below.';
+            return;
+        }
+
+        this.render();
+        if (this.photos.length === 0) return;
+
+        this.bindEvents();
+        this.route();
+    }
+
+    /**
+     * Albums with their photo and thumbnail (`thumbs/`) URLs resolved
+     * against the album `path`, which is relative to the manifest.
+     */
+    parse(manifest, manifestUrl) {
+        this.albums = manifest.albums.map(data => {
+            const folder = new URL(data.path, manifestUrl);
+            const album = {
+                id: data.id,
+                title: data.title,
+                date: data.date ? new Date(`${data.date}T00:00:00`) : null,
+                photos: []
+            };
+
+            album.photos = (data.photos || []).map(photo => ({
+                id: photo.id || photo.file.replace(/\.[^.]+$/, ''),
+                album,
+                src: new URL(photo.file, folder).href,
+                thumb: new URL(`thumbs/${photo.file}`, folder).href,
+                width: photo.width,
+                height: photo.height,
+                caption: photo.caption || '',
+                alt: photo.alt || photo.caption || album.title
+            }));
+            return album;
+        });
+
+        this.photos = this.albums.flatMap(album => album.photos);
+    }
+
+    render() {
+        if (this.photos.length === 0) {
+            this.status.textContent = 'No albums have been published yet. Our latest photos are on Facebook and Instagram below.';
+            return;
+        }
+
+        this.filters.replaceChildren(
+            this.createFilter(null, 'All photos', this.photos.length),
+            ...this.albums.map(album => this.createFilter(album.id, album.title, album.photos.length))
+        );
+        this.grid.replaceChildren(...this.photos.map(photo => this.createItem(photo)));
+
+        // Thumbnails load as they scroll into view
+        Components.scan(this.grid, ['lazy']);
+        this.setAlbum(null);
+    }
+
+    createFilter(id, title, count) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'gallery-page__filter';
+        button.dataset.album = id ?? '';
+        button.textContent = title;
+
+        const badge = document.createElement('span');
+        badge.className = 'gallery-page__count';
+        badge.textContent = count;
+        button.appendChild(badge);
+        return button;
+    }
+
+    createItem(photo) {
+        const item = document.createElement('a');
+        item.className = 'gallery-item';
+        item.href = `#${this.getHash(photo)}`;
+        item.dataset.album = photo.album.id;
+        item.dataset.photo = photo.id;
+        item.innerHTML = `
+            <img alt="">
+            <span class="gallery-item__overlay">
+                <span class="gallery-item__category"></span>
+                <span class="gallery-item__title"></span>
+            </span>
+        `;
+
+        // Reserve the space before the thumbnail arrives
+        const image = $('img', item);
+        image.dataset.src = photo.thumb;
+        image.alt = photo.alt;
+        if (photo.width && photo.height) {
+            image.width = photo.width;
+            image.height = photo.height;
+            item.style.aspectRatio = `${photo.width} / ${photo.height}`;
+        }
+
+        $('.gallery-item__category', item).textContent = photo.album.title;
+        $('.gallery-item__title', item).textContent = photo.caption;
+        return item;
+    }
+
+    bindEvents() {
+        const { signal } = this.controller;
+
+        this.filters.addEventListener('click', (e) => {
+            const button = e.target.closest('.gallery-page__filter');
+            if (!button) return;
+
+            this.setAlbum(button.dataset.album || null);
+            this.replaceHash(this.album);
+        }, { signal });
+
+        // Modified clicks still open the photo's link in a new tab
+        this.grid.addEventListener('click', (e) => {
+            const item = e.target.closest('.gallery-item');
+            if (!item || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+            e.preventDefault();
+            this.showPhoto(this.findPhoto(item.dataset.album, item.dataset.photo), { push: true });
+        }, { signal });
+
+        // Back and forward, and links to `#album/photo` on this page
+        window.addEventListener('popstate', () => this.route(), { signal });
+        window.addEventListener('hashchange', () => this.route(), { signal });
+    }
+
+    getHash(photo) {
+        return `${photo.album.id}/${photo.id}`;
+    }
+
+    findPhoto(albumId, photoId) {
+        return this.albums.find(album => album.id === albumId)?.photos.find(photo => photo.id === photoId) ?? null;
+    }
+
+    getItem(photo) {
+        return photo && this.grid.querySelector(`[data-album="${photo.album.id}"][data-photo="${photo.id}"]`);
+    }
+
+    /**
+     * The photos the grid shows, and the lightbox steps through.
+     */
+    getVisiblePhotos() {
+        return this.albums.find(album => album.id === this.album)?.photos ?? this.photos;
+    }
+
+    setAlbum(id) {
+        const album = this.albums.find(a => a.id === id);
+        this.album = album ? album.id : null;
+
+        $$('.gallery-page__filter', this.filters).forEach(button => {
+            button.setAttribute('aria-pressed', String((button.dataset.album || null) === this.album));
+        });
+        $$('.gallery-item', this.grid).forEach(item => {
+            item.hidden = Boolean(this.album) && item.dataset.album !== this.album;
+        });
+
+        const count = this.getVisiblePhotos().length;
+        this.status.textContent = `${count} ${count === 1 ? 'photo' : 'photos'}${album ? ` from ${album.title}` : ''}`;
+    }
+
+    /**
+     * Shows the URL hash's album or photo. Unknown hashes (skip links and
+     * the like) are left alone; an empty one closes the lightbox.
+     */
+    route() {
+        const [albumId, photoId] = decodeURIComponent(window.location.hash.slice(1)).split('/');
+        const album = this.albums.find(a => a.id === albumId);
+
+        if (!album) {
+            if (!albumId) this.hidePhoto();
+            return;
+        }
+
+        const photo = photoId ? this.findPhoto(album.id, photoId) : null;
+        if (!photo) {
+            this.hidePhoto();
+            this.setAlbum(album.id);
+            return;
+        }
+
+        // A link to a photo shows its album, unless the lightbox is already on it
+        if (!this.lightbox?.isOpen || !this.lightbox.photos.includes(photo)) {
+            this.setAlbum(album.id);
+        }
+        this.showPhoto(photo);
+    }
+
+    /**
+     * Opens the lightbox on `photo`. Opened from the grid (`push`), it gets
+     * a history entry so Back closes it again.
+     */
+    showPhoto(photo, { push = false } = {}) {
+        if (!photo) return;
+
+        if (push) {
+            history.pushState({ ...history.state, galleryPhoto: true }, '', `#${this.getHash(photo)}`);
+        }
+
+        this.lightbox ??= new GalleryLightbox({
+            onChange: (current) => {
+                this.current = current;
+                this.replaceHash(this.getHash(current));
+            },
+            onClose: () => this.closePhoto()
+        });
+
+        const photos = this.getVisiblePhotos();
+        this.lightbox.open(photos, photos.indexOf(photo));
+    }
+
+    closePhoto() {
+        if (history.state?.galleryPhoto) {
+            // popstate then runs route(), which hides it
+            history.back();
+            return;
+        }
+
+        this.hidePhoto();
+        this.replaceHash(this.album);
+    }
+
+    hidePhoto() {
+        if (!this.lightbox?.isOpen) return;
+
+        this.lightbox.close();
+        this.getItem(this.current)?.focus();
+    }
+
+    replaceHash(hash) {
+        const { pathname, search } = window.location;
+        history.replaceState(history.state, '', hash ? `#${hash}` : `${pathname}${search}`);
+    }
+
+    destroy() {
+        this.isDestroyed = true;
+        this.controller.abort();
+        this.lightbox?.destroy();
+        this.lightbox = null;
+    }
+}
+
+Components.define('gallery', PhotoGallery);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PhotoGallery, GalleryLightbox };
+}
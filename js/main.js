@@ -16,8 +16,70 @@
 const CONFIG = {
     scrollThreshold: 100,
     animationThreshold: 0.15,
+    animationStagger: 100,
     counterDuration: 2000,
+    counterLocale: 'en-IE',
     debounceDelay: 100,
+
+    // Event registration (js/registration.js). adapter: 'post' sends JSON to
+    // `endpoint` and queues locally if it can't be reached, 'mailto' opens the
+    // visitor's mail client, 'local' only keeps the localStorage queue.
+    registration: {
+        adapter: 'mailto',
+        endpoint: '/api/registrations',
+        email: 'bengalsportsireland@gmail.com',
+        storageKey: 'basci_registrations_v1',
+    },
+
+    // Membership sign-up wizard (js/membership.js). Same adapters as
+    // registration; the draft is kept in localStorage between steps.
+    membership: {
+        adapter: 'mailto',
+        endpoint: '/api/memberships',
+        email: 'bengalsportsireland@gmail.com',
+        storageKey: 'basci_memberships_v1',
+        draftKey: 'basci_membership_draft_v1',
+        // Renewal reminders: the member's own record, kept in this browser only
+        statusKey: 'basci_membership_v1',
+        validMonths: 12,
+        reminderDays: 30,
+        snoozeDays: 7,
+        tiers: {
+            adult: { label: 'Adult Member', price: 60 },
+            student: { label: 'Student Member', price: 40 },
+            associate: { label: 'Associate Member', price: 50 },
+        },
+    },
+
+    // Sitewide background music. Paths are relative to the site root;
+    // add tracks to `playlist` to get next/previous in the mini player.
+    audio: {
+        artist: 'BASCI',
+        album: 'Bengal Amateur Sports Club of Ireland',
+        artwork: 'assets/images/logo.png',
+        playlist: [
+            { title: 'Baskey Anthem', src: 'assets/audio/Baskey%20Anthem.mp3' },
+        ],
+    },
+
+    // Contact form (form[data-contact-form]). Same adapters as
+    // registration. Submissions faster than minSubmitTime (ms) after page
+    // load are treated as spam.
+    contact: {
+        adapter: 'mailto',
+        endpoint: '/api/contact',
+        email: 'bengalsportsireland@gmail.com',
+        storageKey: 'basci_contact_v1',
+        minSubmitTime: 3000,
+    },
+
+    // Client-side navigation for pages with <body data-router>. `regions`
+    // are swapped on every navigation; everything else (audio, modals)
+    // stays. Slower responses fall back to a normal page load.
+    router: {
+        regions: ['.header', 'main', '.footer'],
+        timeout: 8000,
+    },
 };
 
 // ==========================================================================
@@ -53,44 +115,167 @@ function throttle(func, limit) {
     };
 }
 
+/**
+ * Path to a root-level file from the current one (pages/ live one level down).
+ */
+function getRootPath(file = '') {
+    // From the URL rather than the markup: the router keeps the first page's <head>
+    return `${/\/pages\/[^/]*$/.test(window.location.pathname) ? '../' : ''}${file}`;
+}
+
 /**
  * Query selector shortcuts
  */
 const $ = (selector, parent = document) => parent.querySelector(selector);
 const $$ = (selector, parent = document) => [...parent.querySelectorAll(selector)];
 
+/**
+ * `root` itself (if it matches) plus its matching descendants, so a
+ * component can be mounted on one element or on a whole section.
+ */
+const $within = (selector, root = document) => [
+    ...(root.matches?.(selector) ? [root] : []),
+    ...$$(selector, root),
+];
+
+const sharedObservers = new Map();
+
+/**
+ * Observe `element` with an IntersectionObserver shared by every caller
+ * passing the same options. Returns a function that stops observing.
+ */
+function observeIntersection(element, callback, options = {}) {
+    const key = JSON.stringify(options);
+    let shared = sharedObservers.get(key);
+
+    if (!shared) {
+        const callbacks = new Map();
+        const observer = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                callbacks.get(entry.target)?.forEach(fn => fn(entry));
+            });
+        }, options);
+        shared = { observer, callbacks };
+        sharedObservers.set(key, shared);
+    }
+
+    if (!shared.callbacks.has(element)) shared.callbacks.set(element, new Set());
+    shared.callbacks.get(element).add(callback);
+    shared.observer.observe(element);
+
+    return () => {
+        const callbacks = shared.callbacks.get(element);
+        callbacks?.delete(callback);
+        if (callbacks?.size === 0) {
+            shared.callbacks.delete(element);
+            shared.observer.unobserve(element);
+        }
+    };
+}
+
+/**
+ * Whether the visitor asked for less motion; checked at call time so a
+ * change in system settings applies straight away.
+ */
+const prefersReducedMotion = () => window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+// ==========================================================================
+// SCROLL SCHEDULER
+// ==========================================================================
+
+/**
+ * One passive scroll/resize listener for the whole site. Subscribers get a
+ * `read` phase (measure the layout) and a `write` phase (classes, styles),
+ * called at most once per animation frame with the shared
+ * `{ scrollY, viewportWidth, viewportHeight }`. Every read runs before any
+ * write, so a frame never forces layout in between.
+ *
+ *   const unsubscribe = ScrollScheduler.subscribe({ write: ({ scrollY }) => ... });
+ */
+const ScrollScheduler = {
+    subscribers: new Set(),
+    frame: null,
+    state: { scrollY: 0, viewportWidth: 0, viewportHeight: 0 },
+
+    subscribe(subscriber) {
+        if (!this.subscribers.size) {
+            this.onEvent = () => this.schedule();
+            window.addEventListener('scroll', this.onEvent, { passive: true });
+            window.addEventListener('resize', this.onEvent, { passive: true });
+        }
+
+        this.subscribers.add(subscriber);
+        // First run so the subscriber starts from the current position
+        this.schedule();
+
+        return () => {
+            this.subscribers.delete(subscriber);
+            if (this.subscribers.size) return;
+
+            window.removeEventListener('scroll', this.onEvent);
+            window.removeEventListener('resize', this.onEvent);
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        };
+    },
+
+    schedule() {
+        if (this.frame || !this.subscribers.size) return;
+        this.frame = requestAnimationFrame(() => this.flush());
+    },
+
+    flush() {
+        this.frame = null;
+        this.state = {
+            scrollY: window.scrollY,
+            viewportWidth: window.innerWidth,
+            viewportHeight: window.innerHeight,
+        };
+
+        const subscribers = [...this.subscribers];
+        subscribers.forEach(subscriber => subscriber.read?.(this.state));
+        subscribers.forEach(subscriber => subscriber.write?.(this.state));
+    },
+};
+
 // ==========================================================================
 // HEADER & NAVIGATION
 // ==========================================================================
 
 class Navigation {
     constructor() {
-        this.header = $('.header');
-        this.toggle = $('.nav__toggle');
-        this.menu = $('.nav__menu');
-        this.links = $$('.nav__link');
         this.isOpen = false;
+        this.isScrolled = null;
+        this.controller = new AbortController();
+        this.unsubscribe = null;
+    }
+
+    mount(root = $('.header')) {
+        this.header = root;
+        this.toggle = $('.nav__toggle', root);
+        this.menu = $('.nav__menu', root);
+        this.links = $$('.nav__link', root);
 
         this.init();
+        return this;
     }
 
     init() {
-        if (!this.header) return;
+        const { signal } = this.controller;
 
-        // Handle scroll
-        this.handleScroll();
-        window.addEventListener('scroll', throttle(() => this.handleScroll(), 100));
+        // Handle scroll and resize
+        this.unsubscribe = ScrollScheduler.subscribe({ write: (state) => this.update(state) });
 
         // Mobile menu toggle
         if (this.toggle) {
-            this.toggle.addEventListener('click', () => this.toggleMenu());
+            this.toggle.addEventListener('click', () => this.toggleMenu(), { signal });
         }
 
         // Close menu on link click
         this.links.forEach(link => {
             link.addEventListener('click', () => {
                 if (this.isOpen) this.closeMenu();
-            });
+            }, { signal });
         });
 
         // Close menu on outside click
@@ -98,29 +283,30 @@ class Navigation {
             if (this.isOpen && !this.menu.contains(e.target) && !this.toggle.contains(e.target)) {
                 this.closeMenu();
             }
-        });
+        }, { signal });
 
         // Close menu on escape key
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape' && this.isOpen) {
                 this.closeMenu();
             }
-        });
-
-        // Handle resize
-        window.addEventListener('resize', debounce(() => {
-            if (window.innerWidth > 1023 && this.isOpen) {
-                this.closeMenu();
-            }
-        }));
+        }, { signal });
 
         // Set active link
         this.setActiveLink();
     }
 
-    handleScroll() {
-        const scrolled = window.scrollY > CONFIG.scrollThreshold;
-        this.header.classList.toggle('header--scrolled', scrolled);
+    update({ scrollY, viewportWidth }) {
+        const scrolled = scrollY > CONFIG.scrollThreshold;
+        if (scrolled !== this.isScrolled) {
+            this.isScrolled = scrolled;
+            this.header.classList.toggle('header--scrolled', scrolled);
+        }
+
+        // The mobile menu has no place on desktop layouts
+        if (viewportWidth > 1023 && this.isOpen) {
+            this.closeMenu();
+        }
     }
 
     toggleMenu() {
@@ -152,42 +338,152 @@ class Navigation {
             }
         });
     }
+
+    destroy() {
+        if (this.isOpen) this.closeMenu();
+        this.controller.abort();
+        this.unsubscribe?.();
+    }
 }
 
 // ==========================================================================
 // SCROLL ANIMATIONS (Intersection Observer)
 // ==========================================================================
 
+/**
+ * Elements that came into view in the same frame. They are revealed
+ * together, in document order, so members of a `[data-animate-group]` can
+ * be staggered one after another.
+ */
+const AnimationQueue = {
+    items: new Map(),
+    frame: null,
+
+    add(element, delay, { once = false } = {}) {
+        this.items.set(element, { delay, once });
+        this.frame ??= requestAnimationFrame(() => this.flush());
+    },
+
+    delete(element) {
+        this.items.delete(element);
+    },
+
+    flush() {
+        this.frame = null;
+        const groupCounts = new Map();
+        const entries = [...this.items].sort(([a], [b]) => (
+            a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1
+        ));
+        this.items.clear();
+
+        entries.forEach(([element, { delay, once }]) => {
+            const group = element.closest('[data-animate-group]');
+            if (group) {
+                const index = groupCounts.get(group) ?? 0;
+                groupCounts.set(group, index + 1);
+                delay += index * (Number(group.dataset.animateStagger) || CONFIG.animationStagger);
+            }
+
+            element.style.transitionDelay = `${delay}ms`;
+            element.classList.add('is-visible');
+            if (once) this.clearTiming(element, delay);
+        });
+    },
+
+    /**
+     * The inline delay and duration are only for the reveal; left in place
+     * they would also slow down hover and other transitions on the element.
+     * transitionend never comes for an element without a transition (or a
+     * cancelled one), hence the timeout.
+     */
+    clearTiming(element, delay) {
+        const duration = Math.max(0, ...getComputedStyle(element).transitionDuration.split(',')
+            .map(value => parseFloat(value) * (value.trim().endsWith('ms') ? 1 : 1000))
+            .filter(Number.isFinite));
+
+        const clear = (e) => {
+            if (e && e.target !== element) return;
+            clearTimeout(timer);
+            element.removeEventListener('transitionend', clear);
+            element.removeEventListener('transitioncancel', clear);
+            element.style.transitionDelay = '';
+            element.style.transitionDuration = '';
+        };
+        const timer = setTimeout(clear, delay + duration + 50);
+        element.addEventListener('transitionend', clear);
+        element.addEventListener('transitioncancel', clear);
+    }
+};
+
+/**
+ * Adds `is-visible` to `[data-animate]` elements as they scroll into view.
+ * Per element: data-animate-delay and data-animate-duration (ms, applied
+ * inline), data-animate-threshold (0-1) and data-animate-once="false" to
+ * hide again on the way out so it replays. With reduced motion everything
+ * is shown straight away.
+ */
 class ScrollAnimations {
     constructor() {
-        this.animatedElements = $$('[data-animate]');
+        this.stops = [];
+        this.elements = [];
+    }
 
-        if ('IntersectionObserver' in window) {
-            this.init();
+    /**
+     * Picks up `[data-animate]` elements added to the page after load.
+     */
+    static refresh(root = document) {
+        Components.scan(root, ['animate']);
+    }
+
+    mount(root = document, elements = $within('[data-animate]', root)) {
+        this.elements = elements;
+
+        if (prefersReducedMotion() || !('IntersectionObserver' in window)) {
+            this.elements.forEach(el => el.classList.add('is-visible'));
         } else {
-            // Fallback: show all elements
-            this.animatedElements.forEach(el => el.classList.add('is-visible'));
+            this.elements.forEach(el => this.observe(el));
         }
+        return this;
     }
 
-    init() {
-        const options = {
-            root: null,
-            rootMargin: '0px 0px -50px 0px',
-            threshold: CONFIG.animationThreshold
+    getOptions(el) {
+        const { dataset } = el;
+        const threshold = parseFloat(dataset.animateThreshold);
+
+        return {
+            // data-delay is the older name
+            delay: Number(dataset.animateDelay ?? dataset.delay) || 0,
+            duration: Number(dataset.animateDuration) || 0,
+            threshold: threshold >= 0 && threshold <= 1 ? threshold : CONFIG.animationThreshold,
+            once: dataset.animateOnce !== 'false'
         };
+    }
 
-        this.observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    entry.target.classList.add('is-visible');
-                    // Optionally stop observing after animation
-                    // this.observer.unobserve(entry.target);
-                }
-            });
-        }, options);
+    observe(el) {
+        const options = this.getOptions(el);
+        if (options.duration) {
+            el.style.transitionDuration = `${options.duration}ms`;
+        }
+
+        const stop = observeIntersection(el, (entry) => {
+            if (entry.isIntersecting) {
+                AnimationQueue.add(el, options.delay, { once: options.once });
+                if (options.once) stop();
+            } else if (!options.once) {
+                AnimationQueue.delete(el);
+                el.style.transitionDelay = '';
+                el.classList.remove('is-visible');
+            }
+        }, {
+            rootMargin: '0px 0px -50px 0px',
+            threshold: options.threshold
+        });
+        this.stops.push(stop);
+    }
 
-        this.animatedElements.forEach(el => this.observer.observe(el));
+    destroy() {
+        this.stops.splice(0).forEach(stop => stop());
+        this.elements.forEach(el => AnimationQueue.delete(el));
     }
 }
 
@@ -197,11 +493,18 @@ class ScrollAnimations {
 
 class SmoothScroll {
     constructor() {
-        this.links = $$('a[href^="#"]');
+        this.controller = new AbortController();
+    }
+
+    mount(root = document, links = $within('a[href^="#"]', root)) {
+        this.links = links;
         this.init();
+        return this;
     }
 
     init() {
+        const { signal } = this.controller;
+
         this.links.forEach(link => {
             link.addEventListener('click', (e) => {
                 const href = link.getAttribute('href');
@@ -212,17 +515,21 @@ class SmoothScroll {
                     e.preventDefault();
                     this.scrollTo(target);
                 }
-            });
+            }, { signal });
         });
     }
 
+    destroy() {
+        this.controller.abort();
+    }
+
     scrollTo(target) {
         const headerHeight = $('.header')?.offsetHeight || 0;
         const targetPosition = target.getBoundingClientRect().top + window.pageYOffset - headerHeight;
 
         window.scrollTo({
             top: targetPosition,
-            behavior: 'smooth'
+            behavior: prefersReducedMotion() ? 'auto' : 'smooth'
         });
     }
 }
@@ -231,55 +538,152 @@ class SmoothScroll {
 // COUNTER ANIMATION (For Statistics)
 // ==========================================================================
 
+/**
+ * Easing curves for `data-count-easing`, as functions of progress 0..1.
+ */
+const COUNTER_EASINGS = {
+    linear: t => t,
+    'ease-out': t => 1 - Math.pow(1 - t, 2),
+    'ease-out-cubic': t => 1 - Math.pow(1 - t, 3),
+    'ease-out-quart': t => 1 - Math.pow(1 - t, 4),
+    'ease-in-out': t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+    'ease-out-expo': t => (t === 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
+
+/**
+ * Number formats for `data-count-format`, as Intl.NumberFormat options.
+ * 'percent' takes the value as written (50 shows 50%).
+ */
+const COUNTER_FORMATS = {
+    number: {},
+    plain: { useGrouping: false },
+    currency: { style: 'currency', currency: 'EUR' },
+    percent: { style: 'percent' },
+    compact: { notation: 'compact' },
+};
+
+/**
+ * Counts `[data-count="1250"]` up from 0 the first time it scrolls into view.
+ * Optional per element: data-count-from, -decimals (defaults to those
+ * written in the target), -prefix, -suffix, -format (a COUNTER_FORMATS key),
+ * -duration (ms) and -easing (a COUNTER_EASINGS key).
+ *
+ * `data-count-event="derby-cup"` counts down to the number of days until
+ * the next date of that event in the calendar feed (needs js/calendar.js);
+ * the authored text stays when none is scheduled. `[data-counter]` is the
+ * older name for `data-count`.
+ */
 class CounterAnimation {
     constructor() {
-        this.counters = $$('[data-counter]');
+        this.stops = [];
+        this.frames = new Map();
+    }
 
-        if (this.counters.length && 'IntersectionObserver' in window) {
-            this.init();
+    mount(root = document, counters = $within('[data-count], [data-counter], [data-count-event]', root)) {
+        this.counters = counters;
+        this.counters.forEach(counter => this.init(counter));
+        return this;
+    }
+
+    async init(element) {
+        const options = this.getOptions(element);
+        if (options.event) {
+            options.target = await this.getDaysUntil(options.event);
+            if (options.target === null) return;
+            options.from = element.dataset.countFrom ? options.from : Math.max(365, options.target);
+        }
+        if (this.isDestroyed) return;
+
+        // Reduced motion, or no way to tell when it is seen: just show it
+        if (prefersReducedMotion() || !('IntersectionObserver' in window)) {
+            element.textContent = this.format(options.target, options);
+            return;
         }
+
+        element.textContent = this.format(options.from, options);
+
+        const stop = observeIntersection(element, (entry) => {
+            if (entry.isIntersecting) {
+                this.animateCounter(element, options);
+                stop();
+            }
+        }, { threshold: 0.5 });
+        this.stops.push(stop);
     }
 
-    init() {
-        const options = {
-            threshold: 0.5
+    destroy() {
+        this.isDestroyed = true;
+        this.stops.splice(0).forEach(stop => stop());
+        this.frames.forEach(frame => cancelAnimationFrame(frame));
+        this.frames.clear();
+    }
+
+    getOptions(element) {
+        const { dataset } = element;
+        const value = dataset.count ?? dataset.counter ?? '0';
+        const decimals = dataset.countDecimals ?? (String(value).split('.')[1] || '').length;
+
+        return {
+            event: dataset.countEvent || null,
+            target: parseFloat(value) || 0,
+            from: parseFloat(dataset.countFrom) || 0,
+            duration: Number(dataset.countDuration) || CONFIG.counterDuration,
+            easing: COUNTER_EASINGS[dataset.countEasing] || COUNTER_EASINGS['ease-out-quart'],
+            prefix: dataset.countPrefix || '',
+            suffix: dataset.countSuffix || '',
+            formatter: new Intl.NumberFormat(CONFIG.counterLocale, {
+                ...(COUNTER_FORMATS[dataset.countFormat] || COUNTER_FORMATS.number),
+                minimumFractionDigits: Number(decimals),
+                maximumFractionDigits: Number(decimals),
+            }),
+            isPercent: dataset.countFormat === 'percent',
         };
+    }
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.animateCounter(entry.target);
-                    observer.unobserve(entry.target);
-                }
-            });
-        }, options);
+    format(value, options) {
+        const number = options.formatter.format(options.isPercent ? value / 100 : value);
+        return `${options.prefix}${number}${options.suffix}`;
+    }
+
+    /**
+     * Whole days from today until the next date of an event series, or null.
+     */
+    async getDaysUntil(series) {
+        if (!window.BasciCalendar) {
+            console.warn(`CounterAnimation: data-count-event="${series}" needs js/calendar.js on the page`);
+            return null;
+        }
 
-        this.counters.forEach(counter => observer.observe(counter));
+        try {
+            const date = await window.BasciCalendar.getNextEventDate(series);
+            if (!date) return null;
+
+            const now = new Date();
+            const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+            return Math.round((date - today) / (24 * 60 * 60 * 1000));
+        } catch (error) {
+            console.warn(`CounterAnimation: Could not load the date of "${series}"`, error);
+            return null;
+        }
     }
 
-    animateCounter(element) {
-        const target = parseInt(element.getAttribute('data-counter'));
-        const duration = CONFIG.counterDuration;
+    animateCounter(element, options) {
+        const { from, target, duration, easing } = options;
         const startTime = performance.now();
 
         const updateCounter = (currentTime) => {
-            const elapsed = currentTime - startTime;
-            const progress = Math.min(elapsed / duration, 1);
-
-            // Easing function (ease-out-quart)
-            const easeProgress = 1 - Math.pow(1 - progress, 4);
-            const currentValue = Math.floor(easeProgress * target);
-
-            element.textContent = currentValue.toLocaleString();
+            const progress = Math.min((currentTime - startTime) / duration, 1);
+            element.textContent = this.format(from + (target - from) * easing(progress), options);
 
             if (progress < 1) {
-                requestAnimationFrame(updateCounter);
+                this.frames.set(element, requestAnimationFrame(updateCounter));
             } else {
-                element.textContent = target.toLocaleString();
+                this.frames.delete(element);
+                element.textContent = this.format(target, options);
             }
         };
 
-        requestAnimationFrame(updateCounter);
+        this.frames.set(element, requestAnimationFrame(updateCounter));
     }
 }
 
@@ -287,245 +691,1386 @@ class CounterAnimation {
 // VIDEO PLAYER
 // ==========================================================================
 
+/**
+ * Lightbox player for any `[data-video="src"]` trigger. Triggers sharing a
+ * `data-video-playlist` name play as a playlist in page order, and
+ * `data-video-title` sets the caption. Uses #videoModal when the page has
+ * one and builds it otherwise. Inline `[data-video-play="id"]` buttons
+ * still toggle the video with that id in place.
+ */
 class VideoPlayer {
     constructor() {
-        this.playButtons = $$('[data-video-play]');
+        this.storageKey = 'basci_video_positions_v1';
+        this.modal = null;
+        this.video = null;
+        this.playlist = [];
+        this.index = 0;
+        this.lastTrigger = null;
+        this.resumeAudio = false;
+        this.controller = new AbortController();
+    }
+
+    mount(root = document) {
+        this.root = root;
         this.init();
+        return this;
     }
 
     init() {
-        this.playButtons.forEach(button => {
-            button.addEventListener('click', () => {
-                const videoId = button.getAttribute('data-video-play');
-                const video = $(`#${videoId}`);
-
-                if (video) {
-                    if (video.paused) {
-                        video.play();
-                        button.classList.add('is-playing');
-                    } else {
-                        video.pause();
-                        button.classList.remove('is-playing');
-                    }
-                }
-            });
-        });
-    }
-}
+        // Delegated so triggers added later (gallery items, pages loaded by
+        // the router) work too
+        this.root.addEventListener('click', (e) => {
+            const playButton = e.target.closest('[data-video-play]');
+            if (playButton) {
+                this.toggleInline(playButton);
+                return;
+            }
 
-// ==========================================================================
-// HERO VIDEO BACKGROUND
-// ==========================================================================
+            const trigger = e.target.closest('[data-video]');
+            if (!trigger) return;
 
-class HeroVideo {
-    constructor() {
-        this.video = $('.hero__video');
-        this.init();
+            e.preventDefault();
+            this.open(trigger);
+        }, { signal: this.controller.signal });
     }
 
-    init() {
-        if (!this.video) return;
+    destroy() {
+        this.close();
+        this.controller.abort();
 
-        // Pause video when not visible (performance)
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
-                if (entry.isIntersecting) {
-                    this.video.play().catch(() => {});
-                } else {
-                    this.video.pause();
-                }
-            });
-        }, { threshold: 0.25 });
+        // Leave markup that came with the page as it was
+        if (this.ownsModal) {
+            this.modal.remove();
+        } else {
+            this.modal?.querySelector('.video-modal__bar')?.remove();
+        }
+        this.modal = null;
+    }
 
-        observer.observe(this.video);
+    toggleInline(button) {
+        const video = $(`#${button.getAttribute('data-video-play')}`);
+        if (!video) return;
 
-        // Mute video by default (for autoplay)
-        this.video.muted = true;
+        if (video.paused) {
+            video.play();
+            button.classList.add('is-playing');
+        } else {
+            video.pause();
+            button.classList.remove('is-playing');
+        }
     }
-}
-
-// ==========================================================================
-// PARALLAX EFFECT (Simple)
-// ==========================================================================
 
-class Parallax {
-    constructor() {
-        this.elements = $$('[data-parallax]');
+    // ----- Saved positions -----
 
-        if (this.elements.length) {
-            this.init();
+    getPositions() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : {};
+        } catch {
+            return {};
         }
     }
 
-    init() {
-        window.addEventListener('scroll', throttle(() => this.update(), 16));
+    savePosition(src, time) {
+        const positions = this.getPositions();
+        if (time > 0) {
+            positions[src] = time;
+        } else {
+            delete positions[src];
+        }
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(positions));
+        } catch {
+            // ignore storage failures (private mode, quota, etc.)
+        }
     }
 
-    update() {
-        const scrollY = window.pageYOffset;
+    saveCurrentPosition() {
+        const item = this.playlist[this.index];
+        if (!item || !this.video) return;
 
-        this.elements.forEach(element => {
-            const speed = parseFloat(element.getAttribute('data-parallax')) || 0.5;
-            const offset = scrollY * speed;
-            element.style.transform = `translateY(${offset}px)`;
-        });
+        // Finished (or nearly) videos start from the beginning next time
+        const { currentTime, duration } = this.video;
+        const finished = Number.isFinite(duration) && duration - currentTime < 1;
+        this.savePosition(item.src, finished ? 0 : currentTime);
     }
-}
-
-// ==========================================================================
-// BACK TO TOP BUTTON
-// ==========================================================================
-
-class BackToTop {
-    constructor() {
-        this.button = $('.back-to-top');
 
-        if (this.button) {
-            this.init();
+    // ----- Modal -----
+
+    createModal() {
+        let modal = $('#videoModal');
+        this.ownsModal = !modal;
+
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.className = 'video-modal';
+            modal.id = 'videoModal';
+            modal.innerHTML = `
+                <div class="video-modal__overlay"></div>
+                <div class="video-modal__content">
+                    <button class="video-modal__close" aria-label="Close video">
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <line x1="18" y1="6" x2="6" y2="18"/>
+                            <line x1="6" y1="6" x2="18" y2="18"/>
+                        </svg>
+                    </button>
+                    <video class="video-modal__video" controls></video>
+                </div>
+            `;
+            document.body.appendChild(modal);
         }
-    }
 
-    init() {
-        // Show/hide button based on scroll
-        window.addEventListener('scroll', throttle(() => {
-            const scrolled = window.scrollY > 500;
-            this.button.classList.toggle('is-visible', scrolled);
-        }, 100));
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-hidden', 'true');
+
+        const content = $('.video-modal__content', modal);
+        content.insertAdjacentHTML('beforeend', `
+            <div class="video-modal__bar">
+                <button type="button" class="video-modal__nav" data-video-prev aria-label="Previous video">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M15 18l-6-6 6-6"/></svg>
+                </button>
+                <p class="video-modal__caption" id="videoModalCaption"></p>
+                <button type="button" class="video-modal__nav" data-video-next aria-label="Next video">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><path d="M9 18l6-6-6-6"/></svg>
+                </button>
+            </div>
+        `);
+        modal.setAttribute('aria-labelledby', 'videoModalCaption');
+
+        this.modal = modal;
+        this.video = $('.video-modal__video', modal);
+        this.caption = $('.video-modal__caption', modal);
+        this.prevBtn = $('[data-video-prev]', modal);
+        this.nextBtn = $('[data-video-next]', modal);
+
+        const { signal } = this.controller;
+        $('.video-modal__close', modal).addEventListener('click', () => this.close(), { signal });
+        $('.video-modal__overlay', modal).addEventListener('click', () => this.close(), { signal });
+        this.prevBtn.addEventListener('click', () => this.go(this.index - 1), { signal });
+        this.nextBtn.addEventListener('click', () => this.go(this.index + 1), { signal });
 
-        // Scroll to top on click
-        this.button.addEventListener('click', () => {
-            window.scrollTo({
-                top: 0,
-                behavior: 'smooth'
-            });
-        });
+        document.addEventListener('keydown', (e) => {
+            if (this.modal.classList.contains('is-open')) this.handleKeydown(e);
+        }, { signal });
+
+        // Remember where playback stopped; move on when a video ends
+        this.video.addEventListener('pause', () => this.saveCurrentPosition(), { signal });
+        this.video.addEventListener('timeupdate', throttle(() => this.saveCurrentPosition(), 2000), { signal });
+        this.video.addEventListener('ended', () => {
+            this.saveCurrentPosition();
+            if (this.index < this.playlist.length - 1) this.go(this.index + 1);
+        }, { signal });
     }
-}
 
-// ==========================================================================
-// FORM VALIDATION
-// ==========================================================================
+    getPlaylist(trigger) {
+        const name = trigger.dataset.videoPlaylist;
+        const triggers = name
+            ? $$(`[data-video][data-video-playlist="${name}"]`)
+            : [trigger];
 
-class FormValidation {
-    constructor() {
-        this.forms = $$('form[data-validate]');
-        this.init();
+        return triggers.map(el => ({
+            src: el.dataset.video,
+            title: el.dataset.videoTitle || el.getAttribute('aria-label') || '',
+            poster: el.dataset.videoPoster || '',
+        }));
     }
 
-    init() {
-        this.forms.forEach(form => {
-            form.addEventListener('submit', (e) => {
-                if (!this.validateForm(form)) {
-                    e.preventDefault();
-                }
-            });
+    open(trigger) {
+        if (!this.modal) this.createModal();
 
-            // Real-time validation
-            const inputs = $$('input, textarea', form);
-            inputs.forEach(input => {
-                input.addEventListener('blur', () => this.validateField(input));
-                input.addEventListener('input', () => this.clearError(input));
-            });
-        });
-    }
+        this.lastTrigger = trigger;
+        this.playlist = this.getPlaylist(trigger);
+        const start = Math.max(0, this.playlist.findIndex(item => item.src === trigger.dataset.video));
 
-    validateForm(form) {
-        const inputs = $$('input[required], textarea[required]', form);
-        let isValid = true;
+        // Background music would talk over the video
+        const audio = window.__BASCI_BG_AUDIO__?.audio;
+        this.resumeAudio = Boolean(audio && !audio.paused);
+        if (this.resumeAudio) audio.pause();
 
-        inputs.forEach(input => {
-            if (!this.validateField(input)) {
-                isValid = false;
-            }
-        });
+        this.modal.classList.add('is-open');
+        this.modal.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
 
-        return isValid;
+        this.load(start);
+        $('.video-modal__close', this.modal).focus();
     }
 
-    validateField(input) {
-        const value = input.value.trim();
-        const type = input.type;
-        let isValid = true;
-        let errorMessage = '';
-
-        // Required check
-        if (input.hasAttribute('required') && !value) {
-            isValid = false;
-            errorMessage = 'This field is required';
-        }
-        // Email validation
-        else if (type === 'email' && value) {
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Please enter a valid email address';
-            }
-        }
-        // Phone validation
-        else if (type === 'tel' && value) {
-            const phoneRegex = /^[\d\s+\-()]+$/;
-            if (!phoneRegex.test(value)) {
-                isValid = false;
-                errorMessage = 'Please enter a valid phone number';
-            }
-        }
+    load(index) {
+        this.index = index;
+        const item = this.playlist[index];
+        const source = $('source', this.video);
 
-        if (!isValid) {
-            this.showError(input, errorMessage);
+        if (source) {
+            source.src = item.src;
         } else {
-            this.clearError(input);
+            this.video.src = item.src;
         }
+        this.video.poster = item.poster;
+        this.video.load();
+
+        const saved = this.getPositions()[item.src];
+        if (saved) {
+            this.video.addEventListener('loadedmetadata', () => {
+                if (saved < this.video.duration - 1) this.video.currentTime = saved;
+            }, { once: true });
+        }
+
+        this.video.play().catch(() => {});
 
-        return isValid;
+        const hasPlaylist = this.playlist.length > 1;
+        this.caption.textContent = hasPlaylist
+            ? `${item.title || 'Video'} (${index + 1} of ${this.playlist.length})`
+            : item.title || 'Video';
+        this.prevBtn.hidden = !hasPlaylist;
+        this.nextBtn.hidden = !hasPlaylist;
+        this.prevBtn.disabled = index === 0;
+        this.nextBtn.disabled = index === this.playlist.length - 1;
     }
 
-    showError(input, message) {
-        input.classList.add('is-invalid');
+    go(index) {
+        if (index < 0 || index >= this.playlist.length || index === this.index) return;
+        this.saveCurrentPosition();
+        this.video.pause();
+        this.load(index);
+    }
 
-        let errorEl = input.parentElement.querySelector('.form-error');
-        if (!errorEl) {
-            errorEl = document.createElement('span');
-            errorEl.className = 'form-error';
-            input.parentElement.appendChild(errorEl);
+    close() {
+        if (!this.modal?.classList.contains('is-open')) return;
+
+        this.video.pause();
+        this.saveCurrentPosition();
+
+        this.modal.classList.remove('is-open');
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+
+        if (this.resumeAudio) {
+            window.__BASCI_BG_AUDIO__?.tryPlay();
+            this.resumeAudio = false;
         }
-        errorEl.textContent = message;
+
+        this.lastTrigger?.focus();
     }
 
-    clearError(input) {
-        input.classList.remove('is-invalid');
-        const errorEl = input.parentElement.querySelector('.form-error');
-        if (errorEl) {
-            errorEl.remove();
+    getFocusable() {
+        return $$('button, [href], video, [tabindex]:not([tabindex="-1"])', this.modal)
+            .filter(el => !el.disabled && !el.closest('[hidden]'));
+    }
+
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            this.close();
+            return;
+        }
+
+        if (e.key === 'ArrowRight' && e.target !== this.video) this.go(this.index + 1);
+        if (e.key === 'ArrowLeft' && e.target !== this.video) this.go(this.index - 1);
+
+        // Keep Tab inside the dialog
+        if (e.key === 'Tab') {
+            const focusable = this.getFocusable();
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
         }
     }
 }
 
 // ==========================================================================
-// PAGE LOADER
+// ADAPTIVE BACKGROUND VIDEO
 // ==========================================================================
 
-class PageLoader {
-    constructor() {
-        this.loader = $('.page-loader');
-
-        if (this.loader) {
-            this.init();
+/**
+ * Background videos (hero, page headers, CTA and video sections) declare
+ * their encodes as `data-src-<height>` plus an optional `data-poster`:
+ *
+ *   <video muted loop playsinline preload="none"
+ *          data-src-720="a-720.mp4" data-src-1080="a-1080.mp4" data-poster="a.jpg"></video>
+ *
+ * A single encode works too, as does a plain `src` or `<source>`. Nothing
+ * is downloaded until the video is near the viewport. The smallest
+ * encode that covers the element on this screen is chosen, capped on slower
+ * connections; with Save-Data, 2G or prefers-reduced-motion only the poster
+ * is shown. Videos pause while offscreen.
+ */
+class AdaptiveVideo {
+    constructor() {
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.stops = [];
+    }
+
+    mount(root = document, videos = $within('video', root)) {
+        this.videos = videos.filter(video => this.getSources(video).length);
+        this.init();
+        return this;
+    }
+
+    init() {
+        if (!this.videos.length) return;
+
+        this.videos.forEach(video => {
+            video.muted = true;
+            video.playsInline = true;
+            if (video.dataset.poster) video.poster = video.dataset.poster;
+
+            this.stops.push(observeIntersection(video, (entry) => {
+                if (entry.isIntersecting) {
+                    this.activate(entry.target);
+                } else {
+                    entry.target.pause();
+                }
+            }, { rootMargin: '200px 0px' }));
+        });
+    }
+
+    destroy() {
+        this.stops.splice(0).forEach(stop => stop());
+        this.videos.forEach(video => video.pause());
+    }
+
+    /**
+     * [{ height, src }] from data-src-* attributes, smallest first. Without
+     * any, the video's own src or first <source> is the only encode.
+     */
+    getSources(video) {
+        const sources = Object.entries(video.dataset)
+            .map(([key, src]) => ({ height: Number((/^src-(\d+)$/.exec(key) || [])[1]), src }))
+            .filter(source => source.height)
+            .sort((a, b) => a.height - b.height);
+        // Players with controls (e.g. VideoPlayer's lightbox) aren't backgrounds
+        if (sources.length || video.controls) return sources;
+
+        const src = video.getAttribute('src') || video.querySelector('source[src]')?.getAttribute('src');
+        return src ? [{ height: Infinity, src }] : [];
+    }
+
+    getConnection() {
+        const connection = navigator.connection || navigator.mozConnection || navigator.webkitConnection;
+        return {
+            saveData: Boolean(connection?.saveData),
+            effectiveType: connection?.effectiveType || '4g',
+        };
+    }
+
+    shouldUsePoster() {
+        const { saveData, effectiveType } = this.getConnection();
+        return saveData || ['slow-2g', '2g'].includes(effectiveType) || this.reducedMotion.matches;
+    }
+
+    /**
+     * Height in device pixels the video needs to cover its box, capped at
+     * 720p on 3G.
+     */
+    getTargetHeight(video) {
+        const rect = video.parentElement.getBoundingClientRect();
+        const cssHeight = Math.max(rect.height, (rect.width * 9) / 16, window.innerHeight * 0.5);
+        const target = cssHeight * Math.min(window.devicePixelRatio || 1, 2);
+        return this.getConnection().effectiveType === '3g' ? Math.min(target, 720) : target;
+    }
+
+    /**
+     * Encodes to try in order: the best fit first, then larger ones, then
+     * smaller ones, so a missing file still leaves something to play.
+     */
+    getCandidates(video) {
+        const sources = this.getSources(video);
+        const target = this.getTargetHeight(video);
+        let best = sources.findIndex(source => source.height >= target);
+        if (best === -1) best = sources.length - 1;
+
+        return [
+            ...sources.slice(best),
+            ...sources.slice(0, best).reverse(),
+        ].map(source => source.src);
+    }
+
+    activate(video) {
+        if (video.dataset.videoState === 'poster') return;
+
+        if (!video.dataset.videoState) {
+            if (this.shouldUsePoster()) {
+                this.showPoster(video);
+                return;
+            }
+            this.load(video, this.getCandidates(video));
+        }
+
+        video.play().catch(() => {});
+    }
+
+    load(video, candidates) {
+        const [src, ...rest] = candidates;
+        if (!src) {
+            this.showPoster(video);
+            return;
+        }
+
+        video.dataset.videoState = 'loading';
+        video.addEventListener('error', () => this.load(video, rest), { once: true });
+        video.addEventListener('loadeddata', () => {
+            video.dataset.videoState = 'ready';
+        }, { once: true });
+
+        video.src = src;
+        video.load();
+    }
+
+    showPoster(video) {
+        video.dataset.videoState = 'poster';
+        video.removeAttribute('src');
+        video.pause();
+        video.classList.add('is-poster');
+    }
+}
+
+// ==========================================================================
+// PARALLAX EFFECT (Simple)
+// ==========================================================================
+
+/**
+ * `[data-parallax="0.3"]` moves an element at that fraction of the scroll
+ * speed. Only elements in view are updated, from the shared scroll
+ * scheduler; with prefers-reduced-motion the effect is off.
+ */
+class Parallax {
+    constructor() {
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+        this.controller = new AbortController();
+        this.visible = new Set();
+        this.stops = [];
+        this.unsubscribe = null;
+    }
+
+    mount(root = document, elements = $within('[data-parallax]', root)) {
+        this.elements = elements;
+        this.speeds = new Map(this.elements.map(element => [
+            element,
+            parseFloat(element.getAttribute('data-parallax')) || 0.5,
+        ]));
+
+        if (this.elements.length) {
+            this.init();
+        }
+        return this;
+    }
+
+    init() {
+        this.reducedMotion.addEventListener('change', () => this.toggle(), { signal: this.controller.signal });
+        this.toggle();
+    }
+
+    toggle() {
+        if (this.reducedMotion.matches) {
+            this.stop();
+        } else {
+            this.start();
+        }
+    }
+
+    start() {
+        if (this.unsubscribe) return;
+
+        if ('IntersectionObserver' in window) {
+            this.elements.forEach(element => {
+                this.stops.push(observeIntersection(element, (entry) => {
+                    if (entry.isIntersecting) {
+                        this.visible.add(entry.target);
+                        ScrollScheduler.schedule();
+                    } else {
+                        this.visible.delete(entry.target);
+                    }
+                }));
+            });
+        } else {
+            this.elements.forEach(element => this.visible.add(element));
+        }
+
+        this.unsubscribe = ScrollScheduler.subscribe({ write: (state) => this.update(state) });
+    }
+
+    stop() {
+        this.stops.splice(0).forEach(stop => stop());
+        this.unsubscribe?.();
+        this.unsubscribe = null;
+        this.visible.clear();
+        this.elements.forEach(element => {
+            element.style.transform = '';
+        });
+    }
+
+    update({ scrollY }) {
+        this.visible.forEach(element => {
+            const offset = scrollY * this.speeds.get(element);
+            element.style.transform = `translate3d(0, ${offset}px, 0)`;
+        });
+    }
+
+    destroy() {
+        this.stop();
+        this.controller.abort();
+    }
+}
+
+// ==========================================================================
+// BACK TO TOP BUTTON
+// ==========================================================================
+
+class BackToTop {
+    constructor() {
+        this.controller = new AbortController();
+        this.isVisible = null;
+        this.unsubscribe = null;
+    }
+
+    mount(root = $('.back-to-top')) {
+        this.button = root;
+        this.init();
+        return this;
+    }
+
+    init() {
+        // Show/hide button based on scroll
+        this.unsubscribe = ScrollScheduler.subscribe({
+            write: ({ scrollY }) => {
+                const scrolled = scrollY > 500;
+                if (scrolled === this.isVisible) return;
+                this.isVisible = scrolled;
+                this.button.classList.toggle('is-visible', scrolled);
+            },
+        });
+
+        // Scroll to top on click
+        this.button.addEventListener('click', () => {
+            window.scrollTo({
+                top: 0,
+                behavior: prefersReducedMotion() ? 'auto' : 'smooth'
+            });
+        }, { signal: this.controller.signal });
+    }
+
+    destroy() {
+        this.controller.abort();
+        this.unsubscribe?.();
+    }
+}
+
+// ==========================================================================
+// FORM VALIDATION
+// ==========================================================================
+
+/**
+ * Validators keyed by rule name. Each receives the field's value (never empty;
+ * `required` is handled separately) and the field itself, and returns `true`
+ * when valid, `false` or a message string when not, or a Promise of either.
+ * Add more with FormValidation.addRule().
+ */
+const VALIDATION_RULES = {
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+
+    tel: (value) => /^[\d\s+\-()]+$/.test(value) && value.replace(/\D/g, '').length >= 7,
+
+    'irish-phone': (value) => /^(?:\+353|00353|0)[1-9]\d{6,8}$/.test(value.replace(/[\s\-()]/g, '')),
+
+    eircode: (value) => /^(?:[AC-FHKNPRTV-Y]\d{2}|D6W)\s?[0-9AC-FHKNPRTV-Y]{4}$/i.test(value),
+
+    number: (value) => Number.isFinite(Number(value)),
+
+    // min/max on number and date inputs, data-min/data-max on anything
+    range: (value, input) => {
+        const min = input.dataset.min ?? input.getAttribute('min');
+        const max = input.dataset.max ?? input.getAttribute('max');
+        const toComparable = (v) => (input.type === 'date' ? v : Number(v));
+        const current = toComparable(value);
+
+        if (min != null && min !== '' && current < toComparable(min)) return false;
+        if (max != null && max !== '' && current > toComparable(max)) return false;
+        return true;
+    },
+
+    minlength: (value, input) => value.length >= Number(input.getAttribute('minlength')),
+
+    maxlength: (value, input) => value.length <= Number(input.getAttribute('maxlength')),
+
+    // Compiled like the browser does: with the v flag (u where v isn't
+    // supported yet), and a pattern that doesn't compile never fails
+    pattern: (value, input) => {
+        for (const flags of ['v', 'u']) {
+            try {
+                return new RegExp(`^(?:${input.getAttribute('pattern')})$`, flags).test(value);
+            } catch {
+                // try the next flag
+            }
+        }
+        return true;
+    },
+
+    match: (value, input) => {
+        const other = (input.form || document).querySelector(input.dataset.match);
+        return !other || other.value.trim() === value;
+    },
+
+    accept: (files, input) => {
+        const accepted = input.getAttribute('accept').split(',').map(type => type.trim().toLowerCase());
+        return files.every(file => accepted.some(type => {
+            if (type.startsWith('.')) return file.name.toLowerCase().endsWith(type);
+            if (type.endsWith('/*')) return file.type.startsWith(type.slice(0, -1));
+            return file.type === type;
+        }));
+    },
+
+    'max-size': (files, input) => files.every(file => file.size <= parseFileSize(input.dataset.maxSize)),
+};
+
+/**
+ * Default error messages, keyed like VALIDATION_RULES. Strings or functions of
+ * the field; markup can override any of them with `data-error-<rule>` or
+ * `data-error`, and a page can replace them wholesale for another language.
+ */
+const VALIDATION_MESSAGES = {
+    required: (input) => {
+        if (input.tagName === 'SELECT') return 'Please select an option';
+        if (input.type === 'checkbox') return 'Please tick this box to continue';
+        if (input.type === 'radio') return 'Please choose one of the options';
+        if (input.type === 'file') return 'Please choose a file';
+        return 'This field is required';
+    },
+    email: 'Please enter a valid email address',
+    tel: 'Please enter a valid phone number',
+    'irish-phone': 'Please enter an Irish phone number, e.g. 087 123 4567',
+    eircode: 'Please enter a valid Eircode, e.g. D13 X2Y3',
+    number: 'Please enter a valid number',
+    range: (input) => {
+        const min = input.dataset.min ?? input.getAttribute('min');
+        const max = input.dataset.max ?? input.getAttribute('max');
+        if (min && max) return `Please enter a value between ${min} and ${max}`;
+        return min ? `Please enter a value of at least ${min}` : `Please enter a value no greater than ${max}`;
+    },
+    minlength: (input) => `Please enter at least ${input.getAttribute('minlength')} characters`,
+    maxlength: (input) => `Please enter no more than ${input.getAttribute('maxlength')} characters`,
+    pattern: (input) => input.title || 'Please match the requested format',
+    match: 'These fields do not match',
+    accept: 'Please choose a file of an accepted type',
+    'max-size': (input) => `Please choose a file smaller than ${input.dataset.maxSize}`,
+    invalid: 'Please check this field',
+    summary: (count) => (count === 1
+        ? 'There is 1 problem with this form'
+        : `There are ${count} problems with this form`),
+};
+
+/**
+ * Parse sizes like "2MB", "500 KB" or "1048576" into bytes.
+ */
+function parseFileSize(size) {
+    const match = /^([\d.]+)\s*(b|kb|mb|gb)?$/i.exec(String(size).trim());
+    if (!match) return Infinity;
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+    return Number(match[1]) * units[(match[2] || 'b').toLowerCase()];
+}
+
+const isThenable = (value) => typeof value?.then === 'function';
+
+class FormValidation {
+    /**
+     * Register a custom validator usable via `data-rule="<name>"`.
+     * @param {string} name
+     * @param {Function} validator - (value, input) => boolean | string | Promise
+     * @param {string|Function} [message]
+     */
+    static addRule(name, validator, message) {
+        VALIDATION_RULES[name] = validator;
+        if (message) VALIDATION_MESSAGES[name] = message;
+    }
+
+    constructor() {
+        this.pending = new WeakMap();
+        this.approved = new WeakSet();
+        this.errorCount = 0;
+        this.controller = new AbortController();
+    }
+
+    mount(root = document) {
+        this.forms = $within('form[data-validate]', root);
+        this.init();
+        return this;
+    }
+
+    init() {
+        const { signal } = this.controller;
+
+        this.forms.forEach(form => {
+            form.addEventListener('submit', (e) => this.handleSubmit(e, form), { signal });
+
+            // Real-time validation
+            this.getFields(form).forEach(input => {
+                input.addEventListener('blur', () => this.validateField(input), { signal });
+                input.addEventListener(input.tagName === 'SELECT' ? 'change' : 'input', () => this.clearError(input), { signal });
+            });
+        });
+    }
+
+    destroy() {
+        this.controller.abort();
+    }
+
+    handleSubmit(e, form) {
+        // Second pass after async rules resolved: let the submission through
+        if (this.approved.has(form)) {
+            this.approved.delete(form);
+            return;
+        }
+
+        const result = this.validateForm(form);
+        if (result === true) return;
+
+        // Let other submit handlers (e.g. registration) skip invalid forms
+        e.preventDefault();
+        e.stopImmediatePropagation();
+
+        if (isThenable(result)) {
+            const { submitter } = e;
+            form.setAttribute('aria-busy', 'true');
+            result.then(isValid => {
+                form.removeAttribute('aria-busy');
+                if (!isValid) return;
+                this.approved.add(form);
+                form.requestSubmit(submitter?.form === form ? submitter : undefined);
+            });
+        }
+    }
+
+    /**
+     * Every user-editable field, required or not, so optional fields such as
+     * phone numbers are still checked when filled in. Honeypots and fields in
+     * disabled fieldsets are skipped.
+     */
+    getFields(form) {
+        return $$('input, textarea, select', form).filter(input =>
+            !input.matches(':disabled') &&
+            !input.hasAttribute('data-honeypot') &&
+            !['hidden', 'submit', 'button', 'reset'].includes(input.type)
+        );
+    }
+
+    /**
+     * Validate every field (or just `fields`, e.g. one wizard step) and
+     * refresh the error summary. Returns a boolean, or a Promise of one when
+     * any field has an async rule.
+     */
+    validateForm(form, fields = this.getFields(form)) {
+        const results = fields.map(input => this.validateField(input));
+
+        const finish = (outcomes) => {
+            const firstInvalid = fields.find((input, i) => !outcomes[i]);
+            this.renderSummary(form, true);
+            firstInvalid?.focus();
+            return !firstInvalid;
+        };
+
+        return results.some(isThenable) ? Promise.all(results).then(finish) : finish(results);
+    }
+
+    getValue(input) {
+        if (input.type === 'file') return [...input.files];
+        if (input.type === 'checkbox') return input.checked ? input.value : '';
+        if (input.type === 'radio') {
+            const checked = input.form?.querySelector(`input[name="${input.name}"]:checked`);
+            return checked ? checked.value : '';
+        }
+        return input.value.trim();
+    }
+
+    /**
+     * Rule names that apply to a field, from its type, its standard
+     * constraint attributes and any space-separated `data-rule` names.
+     */
+    getRules(input) {
+        const rules = [];
+        const has = (attr) => input.hasAttribute(attr);
+
+        if (['email', 'tel', 'number'].includes(input.type)) rules.push(input.type);
+        if (has('data-min') || has('data-max') || (['number', 'date'].includes(input.type) && (has('min') || has('max')))) {
+            rules.push('range');
+        }
+        if (has('minlength')) rules.push('minlength');
+        if (has('maxlength')) rules.push('maxlength');
+        if (has('pattern')) rules.push('pattern');
+        if (has('data-match')) rules.push('match');
+        if (input.type === 'file' && has('accept')) rules.push('accept');
+        if (input.type === 'file' && has('data-max-size')) rules.push('max-size');
+
+        (input.dataset.rule || '').split(/\s+/).filter(Boolean).forEach(name => {
+            if (VALIDATION_RULES[name]) {
+                rules.push(name);
+            } else {
+                console.warn(`FormValidation: unknown rule "${name}"`);
+            }
+        });
+
+        return rules;
+    }
+
+    /**
+     * Error text for a failed rule. Markup can override any message with
+     * `data-error-<rule>` (e.g. data-error-irish-phone) or `data-error`;
+     * a validator returning a string wins over both.
+     */
+    getMessage(input, rule, result) {
+        if (typeof result === 'string') return result;
+
+        const key = `error${rule.replace(/(?:^|-)(\w)/g, (m, c) => c.toUpperCase())}`;
+        const message = input.dataset[key] || input.dataset.error || VALIDATION_MESSAGES[rule] || VALIDATION_MESSAGES.invalid;
+        return typeof message === 'function' ? message(input) : message;
+    }
+
+    /**
+     * Run a field's rules in order, stopping at the first failure. Returns a
+     * boolean, or a Promise of one once an async rule is reached. An async
+     * check overtaken by a newer one resolves to the newer one's result.
+     */
+    validateField(input) {
+        const token = {};
+        this.pending.set(input, token);
+        token.result = this.runRules(input, token);
+        return token.result;
+    }
+
+    runRules(input, token) {
+        const value = this.getValue(input);
+        const isEmpty = value === '' || (Array.isArray(value) && !value.length);
+
+        if (isEmpty) {
+            if (input.hasAttribute('required')) return this.fail(input, 'required');
+            this.clearError(input);
+            return true;
+        }
+
+        const rules = this.getRules(input);
+        const run = (index) => {
+            for (let i = index; i < rules.length; i++) {
+                const result = VALIDATION_RULES[rules[i]](value, input);
+
+                if (isThenable(result)) {
+                    input.setAttribute('aria-busy', 'true');
+                    return result
+                        .catch(() => true) // a failing lookup shouldn't block the visitor
+                        .then(outcome => {
+                            // A newer check has started for this field; its result is ours
+                            const latest = this.pending.get(input);
+                            if (latest !== token) {
+                                if (!isThenable(latest.result)) input.removeAttribute('aria-busy');
+                                return latest.result;
+                            }
+                            input.removeAttribute('aria-busy');
+                            return outcome === true ? run(i + 1) : this.fail(input, rules[i], outcome);
+                        });
+                }
+
+                if (result !== true) return this.fail(input, rules[i], result);
+            }
+
+            this.clearError(input);
+            return true;
+        };
+
+        return run(0);
+    }
+
+    fail(input, rule, result) {
+        this.showError(input, this.getMessage(input, rule, result));
+        return false;
+    }
+
+    // Errors go in the field's .form-group when there is one, reusing an
+    // .error-message placeholder from the markup if the page provides it.
+    getErrorContainer(input) {
+        return input.closest('.form-group') || input.parentElement;
+    }
+
+    // Radio buttons are valid or invalid as a group
+    getGroup(input) {
+        if (input.type !== 'radio' || !input.form) return [input];
+        return $$(`input[type="radio"][name="${input.name}"]`, input.form);
+    }
+
+    showError(input, message) {
+        const container = this.getErrorContainer(input);
+        const wasInvalid = input.getAttribute('aria-invalid') === 'true';
+        this.getGroup(input).forEach(el => {
+            el.classList.add('is-invalid');
+            el.setAttribute('aria-invalid', 'true');
+        });
+        container.classList.add('has-error');
+
+        let errorEl = container.querySelector('.form-error, .error-message');
+        if (!errorEl) {
+            errorEl = document.createElement('span');
+            errorEl.className = 'form-error';
+            container.appendChild(errorEl);
+        }
+        if (!errorEl.id) {
+            errorEl.id = `${input.id || input.name || 'field'}-error-${++this.errorCount}`;
+        }
+        errorEl.textContent = message;
+        this.getGroup(input).forEach(el => this.setDescribedBy(el, errorEl.id, true));
+
+        if (!wasInvalid) this.renderSummary(input.form);
+    }
+
+    clearError(input) {
+        const container = this.getErrorContainer(input);
+        const wasInvalid = input.getAttribute('aria-invalid') === 'true';
+        const group = this.getGroup(input);
+        group.forEach(el => {
+            el.classList.remove('is-invalid');
+            el.removeAttribute('aria-invalid');
+        });
+        input.removeAttribute('aria-busy');
+        container.classList.remove('has-error');
+
+        const errorEl = container.querySelector('.form-error, .error-message');
+        if (errorEl) {
+            group.forEach(el => this.setDescribedBy(el, errorEl.id, false));
+            if (errorEl.classList.contains('form-error')) errorEl.remove();
+        }
+
+        if (wasInvalid) this.renderSummary(input.form);
+    }
+
+    setDescribedBy(input, id, add) {
+        if (!id) return;
+        const ids = (input.getAttribute('aria-describedby') || '').split(/\s+/).filter(token => token && token !== id);
+        if (add) ids.push(id);
+
+        if (ids.length) {
+            input.setAttribute('aria-describedby', ids.join(' '));
+        } else {
+            input.removeAttribute('aria-describedby');
+        }
+    }
+
+    /**
+     * List every invalid field at the top of the form, announced via a live
+     * region. Shown on submit; afterwards it only updates while visible.
+     */
+    renderSummary(form, show = false) {
+        if (!form) return;
+        let summary = $('.form-summary', form);
+        if (!summary && !show) return;
+
+        if (!summary) {
+            summary = document.createElement('div');
+            summary.className = 'form-summary';
+            summary.setAttribute('role', 'alert');
+            summary.setAttribute('aria-live', 'assertive');
+            summary.hidden = true;
+            summary.innerHTML = '<p class="form-summary__title"></p><ul class="form-summary__list"></ul>';
+            form.prepend(summary);
+        }
+
+        if (!show && summary.hidden) return;
+
+        // One entry per field name so radio groups are listed once
+        const invalid = [];
+        const seen = new Set();
+        $$('[aria-invalid="true"]', form).forEach(input => {
+            const key = input.name || input.id;
+            if (seen.has(key)) return;
+            seen.add(key);
+            invalid.push(input);
+        });
+
+        summary.hidden = !invalid.length;
+        if (!invalid.length) return;
+
+        $('.form-summary__title', summary).textContent = VALIDATION_MESSAGES.summary(invalid.length);
+        const list = $('.form-summary__list', summary);
+        list.innerHTML = '';
+        invalid.forEach(input => {
+            const label = input.id ? form.querySelector(`label[for="${input.id}"]`) : null;
+            const errorEl = $('.form-error, .error-message', this.getErrorContainer(input));
+            const item = document.createElement('li');
+            const link = document.createElement('a');
+            // Not every field has an id (e.g. membership tier radios), so
+            // the link focuses the input itself
+            link.href = input.id ? `#${input.id}` : '#';
+            link.textContent = [label?.textContent.replace('*', '').trim(), errorEl?.textContent]
+                .filter(Boolean)
+                .join(': ');
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                input.focus();
+            });
+            item.appendChild(link);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Clear every error and hide the summary, e.g. when a form is reused.
+     */
+    reset(form) {
+        this.getFields(form).forEach(input => this.clearError(input));
+        const summary = $('.form-summary', form);
+        if (summary) summary.hidden = true;
+    }
+}
+
+// ==========================================================================
+// CONTACT FORM
+// ==========================================================================
+
+class ContactForm {
+    constructor(config = CONFIG.contact) {
+        this.config = config;
+        this.queue = new StorageQueue(config.storageKey);
+        this.adapter = createSubmissionAdapter(config, this.queue, ContactForm.formatEmail);
+        this.controller = new AbortController();
+    }
+
+    static formatEmail(message) {
+        return {
+            subject: `Website enquiry: ${message.subjectLabel}`,
+            body: [
+                `Name: ${message.firstName} ${message.lastName}`,
+                `Email: ${message.email}`,
+                `Phone: ${message.phone || '-'}`,
+                '',
+                message.message,
+            ].join('\n'),
+        };
+    }
+
+    mount(root = $('form[data-contact-form]')) {
+        this.form = root;
+        this.init();
+        return this;
+    }
+
+    init() {
+        this.success = $(this.form.dataset.success || '#formSuccess');
+        this.submitBtn = $('[type="submit"]', this.form);
+        this.submitLabel = this.submitBtn?.textContent.trim() ?? '';
+        this.honeypot = $('[data-honeypot]', this.form);
+        this.renderedAt = Date.now();
+        this.pending = null;
+
+        this.status = document.createElement('div');
+        this.status.className = 'form-status';
+        this.status.setAttribute('role', 'status');
+        this.status.hidden = true;
+        this.form.appendChild(this.status);
+
+        // Runs after FormValidation, which stops the event for invalid forms
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleSubmit();
+        }, { signal: this.controller.signal });
+
+        this.adapter.flush();
+    }
+
+    destroy() {
+        this.controller.abort();
+        this.status.remove();
+    }
+
+    /**
+     * Bots fill in the hidden honeypot or submit within moments of the page
+     * loading; both get a normal-looking success so they learn nothing.
+     */
+    isLikelySpam() {
+        const tooFast = Date.now() - this.renderedAt < this.config.minSubmitTime;
+        return Boolean(this.honeypot?.value) || tooFast;
+    }
+
+    getPayload() {
+        const data = Object.fromEntries(new FormData(this.form));
+        if (this.honeypot) delete data[this.honeypot.name];
+        const subject = this.form.elements.subject;
+        return {
+            id: createSubmissionId(),
+            ...data,
+            subjectLabel: subject?.selectedOptions?.[0]?.textContent.trim() || data.subject || 'General',
+            page: window.location.pathname,
+            submittedAt: new Date().toISOString(),
+        };
+    }
+
+    setLoading(isLoading) {
+        this.form.setAttribute('aria-busy', isLoading ? 'true' : 'false');
+        if (!this.submitBtn) return;
+        this.submitBtn.disabled = isLoading;
+        this.submitBtn.textContent = isLoading ? 'Sending…' : this.submitLabel;
+    }
+
+    showStatus(message, { error = true, retry = false } = {}) {
+        this.status.hidden = false;
+        this.status.className = `form-status${error ? ' form-status--error' : ''}`;
+        this.status.innerHTML = '';
+
+        const text = document.createElement('p');
+        text.textContent = message;
+        this.status.appendChild(text);
+        if (!error) return;
+
+        const actions = document.createElement('div');
+        actions.className = 'form-status__actions';
+
+        if (retry) {
+            const retryBtn = document.createElement('button');
+            retryBtn.type = 'button';
+            retryBtn.className = 'btn btn--primary btn--sm';
+            retryBtn.textContent = 'Try again';
+            retryBtn.addEventListener('click', () => this.retry());
+            actions.appendChild(retryBtn);
+        }
+
+        const email = document.createElement('a');
+        email.className = 'btn btn--outline btn--sm';
+        email.href = `mailto:${this.config.email}`;
+        email.textContent = 'Email us instead';
+        actions.appendChild(email);
+
+        this.status.appendChild(actions);
+    }
+
+    showSuccess() {
+        this.form.style.display = 'none';
+        this.success?.classList.add('show');
+        this.success?.setAttribute('tabindex', '-1');
+        this.success?.focus();
+    }
+
+    showResult(status) {
+        if (status === 'sent') {
+            this.pending = null;
+            this.showSuccess();
+        } else if (status === 'mailto') {
+            this.pending = null;
+            this.showStatus('Your email app should now open with your message. Please press send to complete it.', { error: false });
+        } else if (status === 'saved') {
+            this.pending = null;
+            this.showStatus('Your message has been saved on this device.', { error: false });
+        } else if (status === 'queued') {
+            // Retried on the next visit, or now via "Try again"
+            this.showStatus('Sorry, your message could not be sent yet. It is saved on this device and will be sent on your next visit, or you can try again now.', { retry: true });
+        } else {
+            this.showStatus('Sorry, your message could not be sent. Please try again, or email us instead.', { retry: true });
+        }
+    }
+
+    async send(payload) {
+        this.setLoading(true);
+        this.status.hidden = true;
+
+        try {
+            const { status } = await this.adapter.submit(payload);
+            this.showResult(status);
+        } finally {
+            this.setLoading(false);
+        }
+    }
+
+    /**
+     * Send the message again. A queued copy is taken out first so a second
+     * failure doesn't queue it twice.
+     */
+    retry() {
+        if (!this.pending) return;
+        this.queue.remove(this.pending.id);
+        this.send(this.pending);
+    }
+
+    handleSubmit() {
+        if (this.isLikelySpam()) {
+            this.showSuccess();
+            return;
+        }
+
+        this.pending = this.getPayload();
+        this.send(this.pending);
+    }
+}
+
+// ==========================================================================
+// SUBMISSION ADAPTERS
+// ==========================================================================
+
+/**
+ * Submissions that could not be sent yet, kept in localStorage.
+ */
+class StorageQueue {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
+
+    getAll() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const list = raw ? JSON.parse(raw) : [];
+            return Array.isArray(list) ? list : [];
+        } catch {
+            return [];
+        }
+    }
+
+    /**
+     * Returns false if the list couldn't be stored (private mode, quota, etc.)
+     */
+    save(list) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(list));
+            return true;
+        } catch {
+            return false;
         }
     }
 
+    add(item) {
+        return this.save([...this.getAll(), item]);
+    }
+
+    remove(id) {
+        return this.save(this.getAll().filter(item => item.id !== id));
+    }
+}
+
+/**
+ * Backends for form payloads, picked by name from a CONFIG section's
+ * `adapter`. Each returns { submit(payload), flush() }; submit resolves to
+ * { status: 'sent' | 'queued' | 'saved' | 'mailto' | 'failed' }: 'queued'
+ * payloads are sent later, 'saved' ones only kept on this device, and
+ * 'failed' ones neither sent nor saved.
+ */
+const SubmissionAdapters = {
+    /**
+     * POST the payload as JSON. Failures are queued locally and retried
+     * on the next page load, so nothing typed in is lost. Payloads the
+     * server rejects outright (4xx) are dropped from the queue, since
+     * sending them again would fail the same way.
+     */
+    post(config, queue) {
+        const send = async (payload) => {
+            const response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify(payload),
+            });
+            if (!response.ok) throw Object.assign(new Error(`HTTP ${response.status}`), { status: response.status });
+        };
+        const isRejected = (error) => error.status >= 400 && error.status < 500;
+
+        return {
+            async submit(payload) {
+                try {
+                    await send(payload);
+                    return { status: 'sent' };
+                } catch (error) {
+                    if (isRejected(error)) return { status: 'failed' };
+                    return { status: queue.add(payload) ? 'queued' : 'failed' };
+                }
+            },
+
+            async flush() {
+                for (const payload of queue.getAll()) {
+                    try {
+                        await send(payload);
+                        queue.remove(payload.id);
+                    } catch (error) {
+                        // Network errors and 5xx: keep the rest for next time
+                        if (!isRejected(error)) return;
+                        console.warn(`SubmissionAdapters: Dropped queued submission ${payload.id}, the server rejected it`, error);
+                        queue.remove(payload.id);
+                    }
+                }
+            },
+        };
+    },
+
+    /**
+     * Open the visitor's mail client with the payload filled in.
+     * `formatEmail(payload)` returns the { subject, body } to use.
+     */
+    mailto(config, queue, formatEmail) {
+        return {
+            async submit(payload) {
+                const { subject, body } = formatEmail(payload);
+                window.location.href = `mailto:${config.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+                return { status: 'mailto' };
+            },
+
+            async flush() {},
+        };
+    },
+
+    /**
+     * Keep payloads in the localStorage queue only; nothing is sent.
+     */
+    local(config, queue) {
+        return {
+            async submit(payload) {
+                return { status: queue.add(payload) ? 'saved' : 'failed' };
+            },
+
+            async flush() {},
+        };
+    },
+};
+
+function createSubmissionAdapter(config, queue, formatEmail) {
+    const factory = SubmissionAdapters[config.adapter] ?? SubmissionAdapters.local;
+    return factory(config, queue, formatEmail);
+}
+
+const createSubmissionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// ==========================================================================
+// PAGE LOADER
+// ==========================================================================
+
+class PageLoader {
+    constructor() {
+        this.controller = new AbortController();
+        this.timer = null;
+    }
+
+    mount(root = $('.page-loader')) {
+        this.loader = root;
+        this.init();
+        return this;
+    }
+
     init() {
+        if (document.readyState === 'complete') {
+            this.hideLoader();
+            return;
+        }
+
         // Hide loader when page is fully loaded
         window.addEventListener('load', () => {
             this.hideLoader();
-        });
+        }, { signal: this.controller.signal });
 
         // Fallback: Hide loader after 3 seconds even if not fully loaded
         // This prevents the loader from being stuck if large videos are still loading
-        setTimeout(() => {
+        this.timer = setTimeout(() => {
             this.hideLoader();
         }, 3000);
     }
 
+    destroy() {
+        this.controller.abort();
+        clearTimeout(this.timer);
+    }
+
     hideLoader() {
         if (this.loader && !this.loader.classList.contains('is-hidden')) {
             this.loader.classList.add('is-hidden');
@@ -540,14 +2085,19 @@ class PageLoader {
 
 class LazyLoad {
     constructor() {
-        this.images = $$('img[data-src]');
+        this.stops = [];
+    }
+
+    mount(root = document, images = $within('img[data-src]', root)) {
+        this.images = images;
 
         if (this.images.length && 'IntersectionObserver' in window) {
             this.init();
         } else {
             // Fallback: load all images
-            this.images.forEach(img => this.loadImage(img));
+            this.images.forEach(img => LazyLoad.loadImage(img));
         }
+        return this;
     }
 
     init() {
@@ -556,19 +2106,25 @@ class LazyLoad {
             threshold: 0.01
         };
 
-        const observer = new IntersectionObserver((entries) => {
-            entries.forEach(entry => {
+        this.images.forEach(img => {
+            const stop = observeIntersection(img, (entry) => {
                 if (entry.isIntersecting) {
-                    this.loadImage(entry.target);
-                    observer.unobserve(entry.target);
+                    LazyLoad.loadImage(entry.target);
+                    stop();
                 }
-            });
-        }, options);
+            }, options);
+            this.stops.push(stop);
+        });
+    }
 
-        this.images.forEach(img => observer.observe(img));
+    destroy() {
+        this.stops.splice(0).forEach(stop => stop());
     }
 
-    loadImage(img) {
+    /**
+     * Swaps `data-src` in; also used by sliders that load their own slides.
+     */
+    static loadImage(img) {
         const src = img.getAttribute('data-src');
         if (src) {
             img.src = src;
@@ -578,6 +2134,84 @@ class LazyLoad {
     }
 }
 
+// ==========================================================================
+// FAQ ACCORDION
+// ==========================================================================
+
+class FaqAccordion {
+    constructor() {
+        this.controller = new AbortController();
+    }
+
+    mount(root = $('[data-faq]')) {
+        this.items = $$('.faq-item', root);
+        this.init();
+        return this;
+    }
+
+    init() {
+        // One answer open at a time
+        this.items.forEach(item => {
+            item.addEventListener('click', () => {
+                const wasActive = item.classList.contains('active');
+                this.items.forEach(i => i.classList.remove('active'));
+                if (!wasActive) item.classList.add('active');
+            }, { signal: this.controller.signal });
+        });
+    }
+
+    destroy() {
+        this.controller.abort();
+    }
+}
+
+// ==========================================================================
+// SOCIAL FEED TABS (Gallery, mobile)
+// ==========================================================================
+
+class SocialFeedTabs {
+    constructor() {
+        this.controller = new AbortController();
+    }
+
+    mount(root = $('[data-social-tabs]')) {
+        this.buttons = $$('[data-social-tab]', root);
+        this.init();
+        return this;
+    }
+
+    init() {
+        this.buttons.forEach(button => {
+            button.addEventListener('click', () => this.setActiveTab(button.dataset.socialTab), { signal: this.controller.signal });
+        });
+    }
+
+    destroy() {
+        this.controller.abort();
+    }
+
+    setActiveTab(tab) {
+        this.buttons.forEach(button => {
+            const active = button.dataset.socialTab === tab;
+            $(`#${button.getAttribute('aria-controls')}`)?.classList.toggle('is-active', active);
+            button.setAttribute('aria-selected', active ? 'true' : 'false');
+            button.classList.toggle('btn--primary', active);
+            button.classList.toggle('btn--outline', !active);
+        });
+    }
+}
+
+// ==========================================================================
+// CURRENT YEAR (Footer)
+// ==========================================================================
+
+class CurrentYear {
+    mount(root) {
+        root.textContent = new Date().getFullYear();
+        return this;
+    }
+}
+
 // ==========================================================================
 // FLOATING SOCIAL BUTTONS
 // ==========================================================================
@@ -586,8 +2220,13 @@ class SocialFloatingButtons {
     constructor() {
         this.facebookUrl = 'https://www.facebook.com/people/Basci-Sport/61572576583991/';
         this.instagramUrl = 'https://www.instagram.com/basci012025/';
+        this.container = null;
+    }
 
+    mount(root = document.body) {
+        this.root = root;
         this.init();
+        return this;
     }
 
     init() {
@@ -626,7 +2265,13 @@ class SocialFloatingButtons {
 
         container.appendChild(facebookLink);
         container.appendChild(instagramLink);
-        document.body.appendChild(container);
+        this.root.appendChild(container);
+        this.container = container;
+    }
+
+    destroy() {
+        this.container?.remove();
+        this.container = null;
     }
 }
 
@@ -634,20 +2279,160 @@ class SocialFloatingButtons {
 // BACKGROUND AUDIO (SITEWIDE)
 // ==========================================================================
 
+/**
+ * Messaging and leader election between open tabs of the site. Messages go
+ * over BroadcastChannel, or localStorage `storage` events where that isn't
+ * available. The leader holds a lease in localStorage that it renews every
+ * `leaseMs / 3`; a lease that isn't renewed (closed or crashed tab) expires.
+ * Local events: `vacant` when nobody leads, `lost` when another tab has taken
+ * this tab's lease.
+ */
+class TabCoordinator {
+    constructor(name, { leaseMs = 3000 } = {}) {
+        this.name = name;
+        this.id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+        this.leaseKey = `${name}_leader`;
+        this.messageKey = `${name}_message`;
+        this.leaseMs = leaseMs;
+        this.handlers = {};
+        this.channel = null;
+        this.leading = false;
+        this.init();
+    }
+
+    init() {
+        const receive = (message) => {
+            if (!message || message.from === this.id) return;
+            (this.handlers[message.type] || []).forEach(handler => handler(message.data, message.from));
+        };
+
+        if ('BroadcastChannel' in window) {
+            this.channel = new BroadcastChannel(this.name);
+            this.channel.addEventListener('message', (e) => receive(e.data));
+        } else {
+            window.addEventListener('storage', (e) => {
+                if (e.key !== this.messageKey || !e.newValue) return;
+                try {
+                    receive(JSON.parse(e.newValue));
+                } catch {
+                    // ignore malformed messages
+                }
+            });
+        }
+
+        window.setInterval(() => this.heartbeat(), this.leaseMs / 3);
+    }
+
+    on(type, handler) {
+        (this.handlers[type] ||= []).push(handler);
+    }
+
+    post(type, data = {}) {
+        const message = { type, data, from: this.id, sentAt: Date.now() };
+
+        if (this.channel) {
+            this.channel.postMessage(message);
+            return;
+        }
+
+        try {
+            localStorage.setItem(this.messageKey, JSON.stringify(message));
+        } catch {
+            // ignore storage failures (private mode, quota, etc.)
+        }
+    }
+
+    getLease() {
+        try {
+            const raw = localStorage.getItem(this.leaseKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    writeLease() {
+        try {
+            localStorage.setItem(this.leaseKey, JSON.stringify({ id: this.id, expires: Date.now() + this.leaseMs }));
+        } catch {
+            // ignore
+        }
+    }
+
+    isLeader() {
+        return this.getLease()?.id === this.id;
+    }
+
+    isVacant() {
+        const lease = this.getLease();
+        return !lease || lease.expires < Date.now();
+    }
+
+    /**
+     * Become leader if nobody else is (or unconditionally with `force`).
+     * Returns whether this tab now leads.
+     */
+    claim({ force = false } = {}) {
+        if (!force && !this.isLeader() && !this.isVacant()) return false;
+
+        this.writeLease();
+        // Read back in case another tab wrote at the same moment
+        if (!this.isLeader()) return false;
+
+        this.post('leader');
+        return true;
+    }
+
+    release() {
+        if (!this.isLeader()) return;
+        try {
+            localStorage.removeItem(this.leaseKey);
+        } catch {
+            // ignore
+        }
+    }
+
+    heartbeat() {
+        const leading = this.isLeader();
+        // Another tab claimed the lease since the last beat (this one may
+        // have been throttled in the background and let it lapse)
+        if (this.leading && !leading) {
+            (this.handlers.lost || []).forEach(handler => handler());
+        }
+        this.leading = leading;
+
+        if (leading) {
+            this.writeLease();
+        } else if (this.isVacant()) {
+            (this.handlers.vacant || []).forEach(handler => handler());
+        }
+    }
+}
+
+/**
+ * Sitewide music. Only the leading tab (see TabCoordinator) plays and saves
+ * its position; mute and volume are shared by every tab, and when the
+ * playing tab closes another one picks up where it stopped.
+ */
 class BackgroundAudio {
-    constructor() {
+    constructor(config = CONFIG.audio) {
+        this.config = config;
         this.storageKey = 'basci_bg_audio_v1';
         this.audioId = 'basciBackgroundAudio';
         this.audio = null;
         this.saveTimer = null;
+        this.playlist = config.playlist;
+        this.trackIndex = 0;
+        this.tabs = null;
         this.init();
     }
 
-    getAudioSrc() {
-        const cssLink = document.querySelector('link[rel="stylesheet"][href*="css/main.css"]');
-        const cssHref = cssLink?.getAttribute('href') || '';
-        const prefix = cssHref.startsWith('../') ? '../' : '';
-        return `${prefix}assets/audio/Baskey%20Anthem.mp3`;
+    getTrack(index = this.trackIndex) {
+        return this.playlist[index];
+    }
+
+    getTrackSrc(index = this.trackIndex) {
+        return getRootPath(this.getTrack(index).src);
     }
 
     getState() {
@@ -672,6 +2457,13 @@ class BackgroundAudio {
 
     async tryPlay() {
         if (!this.audio) return false;
+
+        // Playing here stops whichever tab was playing before
+        if (!this.tabs.isLeader()) {
+            this.tabs.claim({ force: true });
+            this.tabs.post('takeover');
+        }
+
         try {
             await this.audio.play();
             this.setState({ playing: true });
@@ -682,26 +2474,214 @@ class BackgroundAudio {
         }
     }
 
-    scheduleSaves() {
-        if (!this.audio) return;
+    pause() {
+        if (!this.audio) return;
+        this.audio.pause();
+        this.setState({ playing: false });
+    }
+
+    async togglePlay() {
+        if (!this.audio) return;
+        if (this.audio.paused) {
+            await this.tryPlay();
+        } else {
+            this.pause();
+        }
+    }
+
+    scheduleSaves() {
+        if (!this.audio) return;
+
+        const saveNow = () => {
+            // Only the playing tab owns the saved position
+            if (!this.audio || !this.tabs.isLeader()) return;
+            this.setState({
+                track: this.trackIndex,
+                muted: this.audio.muted,
+                volume: this.audio.volume,
+                currentTime: Number.isFinite(this.audio.currentTime) ? this.audio.currentTime : 0,
+                playing: !this.audio.paused,
+            });
+        };
+
+        // Save periodically while playing
+        this.saveTimer = window.setInterval(saveNow, 1000);
+
+        // Save when the page is being hidden/unloaded, and hand playback
+        // over to another open tab
+        window.addEventListener('pagehide', () => {
+            if (!this.tabs.isLeader()) return;
+            saveNow();
+            const wasPlaying = !this.audio.paused;
+            this.tabs.release();
+            this.tabs.post('handover', {
+                track: this.trackIndex,
+                time: this.audio.currentTime,
+                playing: wasPlaying,
+            });
+        });
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') saveNow();
+        });
+    }
+
+    /**
+     * Switch to another playlist track, optionally resuming at `time`.
+     * Fires `trackchange` on the audio element.
+     */
+    loadTrack(index, { time = 0, autoplay = !this.audio.paused, broadcast = true } = {}) {
+        const count = this.playlist.length;
+        this.trackIndex = ((index % count) + count) % count;
+
+        this.audio.src = this.getTrackSrc();
+        // A single track just loops; a playlist moves on at the end
+        this.audio.loop = count === 1;
+
+        if (time > 0) {
+            this.audio.addEventListener('loadedmetadata', () => {
+                if (time < this.audio.duration) {
+                    try {
+                        this.audio.currentTime = time;
+                    } catch {
+                        // ignore
+                    }
+                }
+            }, { once: true });
+        }
+
+        if (this.tabs.isLeader()) {
+            this.setState({ track: this.trackIndex, currentTime: time });
+        }
+        // Keep the other tabs' mini players showing the same track
+        if (broadcast) this.tabs.post('track', { index: this.trackIndex });
+        this.updateMediaSession();
+        this.audio.dispatchEvent(new CustomEvent('trackchange', { detail: { index: this.trackIndex } }));
+
+        if (autoplay) this.tryPlay();
+    }
+
+    /**
+     * Skip buttons in a tab that isn't playing control the tab that is.
+     */
+    forwardToLeader(command) {
+        if (this.tabs.isLeader() || this.tabs.isVacant()) return false;
+        this.tabs.post('command', { command });
+        return true;
+    }
+
+    next() {
+        if (this.forwardToLeader('next')) return;
+        this.loadTrack(this.trackIndex + 1);
+    }
+
+    // Like most players: restart the track unless it has only just begun
+    previous() {
+        if (this.forwardToLeader('previous')) return;
+        if (this.audio.currentTime > 3) {
+            this.audio.currentTime = 0;
+            return;
+        }
+        this.loadTrack(this.trackIndex - 1);
+    }
+
+    setVolume(volume) {
+        if (!this.audio) return;
+        this.audio.volume = Math.min(1, Math.max(0, volume));
+        if (this.audio.volume > 0 && this.audio.muted) this.audio.muted = false;
+        this.setState({ volume: this.audio.volume, muted: this.audio.muted });
+        this.tabs.post('settings', { volume: this.audio.volume, muted: this.audio.muted });
+    }
+
+    setupTabs() {
+        this.tabs = new TabCoordinator('basci_bg_audio');
+
+        // Another tab started playing
+        this.tabs.on('takeover', () => this.audio.pause());
+
+        // Another tab claimed the lease: only the holder keeps playing
+        this.tabs.on('leader', () => {
+            if (!this.tabs.isLeader()) this.audio.pause();
+        });
+
+        // This tab's lease went to another tab without a message reaching it
+        this.tabs.on('lost', () => this.audio.pause());
+
+        this.tabs.on('settings', ({ volume, muted }) => {
+            this.audio.volume = volume;
+            this.audio.muted = muted;
+        });
+
+        this.tabs.on('track', ({ index }) => {
+            if (this.tabs.isLeader()) return;
+            this.loadTrack(index, { autoplay: false, broadcast: false });
+        });
 
-        const saveNow = () => {
-            if (!this.audio) return;
-            this.setState({
-                muted: this.audio.muted,
-                volume: this.audio.volume,
-                currentTime: Number.isFinite(this.audio.currentTime) ? this.audio.currentTime : 0,
-                playing: !this.audio.paused,
-            });
+        this.tabs.on('command', ({ command }) => {
+            if (!this.tabs.isLeader()) return;
+            if (command === 'next') this.next();
+            if (command === 'previous') this.previous();
+        });
+
+        // The playing tab closed (or stopped renewing its lease): resume here.
+        // Background tabs wait a moment so a page loading in the same tab
+        // (ordinary navigation) gets to claim first.
+        const resume = ({ track, time, playing }) => {
+            if (!this.audio.paused) {
+                this.tabs.claim();
+                return;
+            }
+            if (!playing) return;
+
+            window.setTimeout(() => {
+                if (!this.tabs.claim()) return;
+                this.loadTrack(track, { time, autoplay: true });
+            }, document.hidden ? this.tabs.leaseMs / 2 : 0);
         };
 
-        // Save periodically while playing
-        this.saveTimer = window.setInterval(saveNow, 1000);
+        this.tabs.on('handover', resume);
+        this.tabs.on('vacant', () => {
+            const state = this.getState();
+            resume({ track: state.track ?? 0, time: state.currentTime ?? 0, playing: state.playing });
+        });
+    }
 
-        // Save when the page is being hidden/unloaded
-        window.addEventListener('pagehide', saveNow);
-        document.addEventListener('visibilitychange', () => {
-            if (document.visibilityState === 'hidden') saveNow();
+    /**
+     * Lock-screen / OS media controls via the Media Session API.
+     */
+    setupMediaSession() {
+        if (!('mediaSession' in navigator)) return;
+
+        const handlers = {
+            play: () => this.tryPlay(),
+            pause: () => this.pause(),
+            previoustrack: () => this.previous(),
+            nexttrack: () => this.next(),
+            seekto: (details) => {
+                if (Number.isFinite(details.seekTime)) this.audio.currentTime = details.seekTime;
+            },
+        };
+
+        Object.entries(handlers).forEach(([action, handler]) => {
+            try {
+                navigator.mediaSession.setActionHandler(action, handler);
+            } catch {
+                // action not supported by this browser
+            }
+        });
+
+        this.audio.addEventListener('play', () => { navigator.mediaSession.playbackState = 'playing'; });
+        this.audio.addEventListener('pause', () => { navigator.mediaSession.playbackState = 'paused'; });
+    }
+
+    updateMediaSession() {
+        if (!('mediaSession' in navigator) || typeof MediaMetadata === 'undefined') return;
+
+        const track = this.getTrack();
+        navigator.mediaSession.metadata = new MediaMetadata({
+            title: track.title,
+            artist: track.artist || this.config.artist,
+            album: this.config.album,
+            artwork: [{ src: getRootPath(track.artwork || this.config.artwork), sizes: '512x512', type: 'image/png' }],
         });
     }
 
@@ -711,13 +2691,14 @@ class BackgroundAudio {
             return;
         }
 
+        if (!this.playlist?.length) return;
+
         const state = this.getState();
+        const savedTrack = Number.isInteger(state.track) && state.track < this.playlist.length ? state.track : 0;
 
         const audio = document.createElement('audio');
         audio.id = this.audioId;
-        audio.src = this.getAudioSrc();
         audio.preload = 'auto';
-        audio.loop = true;
         audio.playsInline = true;
         audio.setAttribute('playsinline', '');
 
@@ -727,23 +2708,28 @@ class BackgroundAudio {
             audio.volume = state.volume;
         }
 
-        // Restore playback position when metadata is ready
-        audio.addEventListener('loadedmetadata', () => {
-            if (typeof state.currentTime === 'number' && state.currentTime > 0 && state.currentTime < audio.duration) {
-                try {
-                    audio.currentTime = state.currentTime;
-                } catch {
-                    // ignore
-                }
-            }
-        }, { once: true });
+        audio.addEventListener('ended', () => {
+            if (!audio.loop) this.loadTrack(this.trackIndex + 1, { autoplay: true });
+        });
 
         document.body.appendChild(audio);
         this.audio = audio;
         window.__BASCI_BG_AUDIO__ = this;
 
+        // Restore track and playback position from the previous page
+        this.setupTabs();
+        this.setupMediaSession();
+        this.loadTrack(savedTrack, {
+            time: typeof state.currentTime === 'number' ? state.currentTime : 0,
+            autoplay: false,
+            broadcast: false,
+        });
+
         this.scheduleSaves();
 
+        // Another tab is already playing; stay quiet until it closes
+        if (!this.tabs.claim()) return;
+
         // Try to autoplay. If blocked, retry muted (muted autoplay is often allowed).
         (async () => {
             const played = await this.tryPlay();
@@ -762,6 +2748,7 @@ class BackgroundAudio {
 
         this.audio.muted = !this.audio.muted;
         this.setState({ muted: this.audio.muted });
+        this.tabs.post('settings', { volume: this.audio.volume, muted: this.audio.muted });
     }
 
     async ensurePlayingFromUserGesture() {
@@ -771,28 +2758,45 @@ class BackgroundAudio {
     }
 }
 
-class BackgroundAudioToggle {
+/**
+ * Floating audio button that expands into a mini player: play/pause,
+ * previous/next, mute and volume, and the current track title.
+ */
+class AudioMiniPlayer {
     constructor() {
         this.button = null;
+        this.panel = null;
+        this.container = null;
+        this.controller = new AbortController();
+    }
+
+    mount(root = document.body) {
+        this.root = root;
         this.init();
+        return this;
     }
 
-    getIcon(isMuted) {
-        if (isMuted) {
-            return `
-                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20" aria-hidden="true">
-                    <path d="M11 5L6 9H2v6h4l5 4V5z" />
-                    <path d="M23 9l-6 6" />
-                    <path d="M17 9l6 6" />
-                </svg>
-            `;
-        }
+    destroy() {
+        this.controller.abort();
+        this.container?.remove();
+        this.container = null;
+        this.button = null;
+        this.panel = null;
+    }
+
+    getIcon(name) {
+        const paths = {
+            muted: '<path d="M11 5L6 9H2v6h4l5 4V5z" /><path d="M23 9l-6 6" /><path d="M17 9l6 6" />',
+            sound: '<path d="M11 5L6 9H2v6h4l5 4V5z" /><path d="M15.54 8.46a5 5 0 0 1 0 7.07" /><path d="M19.07 4.93a10 10 0 0 1 0 14.14" />',
+            play: '<path d="M6 4l14 8-14 8V4z" />',
+            pause: '<path d="M6 4h4v16H6zM14 4h4v16h-4z" />',
+            previous: '<path d="M19 20L9 12l10-8v16zM5 19V5" />',
+            next: '<path d="M5 4l10 8-10 8V4zM19 5v14" />',
+        };
 
         return `
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="20" height="20" aria-hidden="true">
-                <path d="M11 5L6 9H2v6h4l5 4V5z" />
-                <path d="M15.54 8.46a5 5 0 0 1 0 7.07" />
-                <path d="M19.07 4.93a10 10 0 0 1 0 14.14" />
+                ${paths[name]}
             </svg>
         `;
     }
@@ -802,71 +2806,746 @@ class BackgroundAudioToggle {
         const audio = controller?.audio;
         if (!this.button || !audio) return;
 
-        const isMuted = audio.muted;
-        this.button.innerHTML = this.getIcon(isMuted);
-        this.button.setAttribute('aria-label', isMuted ? 'Unmute background music' : 'Mute background music');
-        this.button.title = isMuted ? 'Unmute' : 'Mute';
+        const isMuted = audio.muted || audio.volume === 0;
+        this.button.innerHTML = this.getIcon(isMuted ? 'muted' : 'sound');
+        this.button.title = 'Music player';
+
+        const playBtn = $('[data-audio-play]', this.panel);
+        playBtn.innerHTML = this.getIcon(audio.paused ? 'play' : 'pause');
+        playBtn.setAttribute('aria-label', audio.paused ? 'Play' : 'Pause');
+
+        const muteBtn = $('[data-audio-mute]', this.panel);
+        muteBtn.innerHTML = this.getIcon(isMuted ? 'muted' : 'sound');
+        muteBtn.setAttribute('aria-label', isMuted ? 'Unmute' : 'Mute');
+
+        $('[data-audio-volume]', this.panel).value = audio.muted ? 0 : audio.volume;
+
+        const track = controller.getTrack();
+        $('.audio-player__title', this.panel).textContent = track.title;
+        $('.audio-player__artist', this.panel).textContent = track.artist || controller.config.artist;
+
+        const single = controller.playlist.length < 2;
+        $('[data-audio-prev]', this.panel).disabled = single;
+        $('[data-audio-next]', this.panel).disabled = single;
+    }
+
+    setOpen(isOpen) {
+        this.panel.hidden = !isOpen;
+        this.button.setAttribute('aria-expanded', String(isOpen));
+        this.button.setAttribute('aria-label', isOpen ? 'Close music player' : 'Open music player');
     }
 
     init() {
         if (document.querySelector('.audio-float')) return;
 
+        const controller = window.__BASCI_BG_AUDIO__;
+        if (!controller?.audio) return;
+
         const container = document.createElement('div');
         container.className = 'audio-float';
 
         const btn = document.createElement('button');
         btn.type = 'button';
         btn.className = 'social-link audio-toggle';
-        btn.setAttribute('aria-label', 'Mute background music');
-        btn.title = 'Mute';
+        btn.setAttribute('aria-controls', 'audioPlayerPanel');
+
+        const panel = document.createElement('div');
+        panel.className = 'audio-player';
+        panel.id = 'audioPlayerPanel';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'Music player');
+        panel.innerHTML = `
+            <div class="audio-player__info">
+                <span class="audio-player__label">Now playing</span>
+                <p class="audio-player__title" aria-live="polite"></p>
+                <p class="audio-player__artist"></p>
+            </div>
+            <div class="audio-player__controls">
+                <button type="button" class="audio-player__btn" data-audio-prev aria-label="Previous track">${this.getIcon('previous')}</button>
+                <button type="button" class="audio-player__btn audio-player__btn--main" data-audio-play aria-label="Play"></button>
+                <button type="button" class="audio-player__btn" data-audio-next aria-label="Next track">${this.getIcon('next')}</button>
+            </div>
+            <div class="audio-player__volume">
+                <button type="button" class="audio-player__btn" data-audio-mute aria-label="Mute"></button>
+                <input type="range" class="audio-player__slider" data-audio-volume min="0" max="1" step="0.05" aria-label="Volume">
+            </div>
+        `;
 
-        btn.addEventListener('click', async () => {
-            const controller = window.__BASCI_BG_AUDIO__;
-            if (!controller) return;
+        const { signal } = this.controller;
+        btn.addEventListener('click', () => this.setOpen(panel.hidden));
 
+        $('[data-audio-play]', panel).addEventListener('click', () => controller.togglePlay());
+        $('[data-audio-prev]', panel).addEventListener('click', () => controller.previous());
+        $('[data-audio-next]', panel).addEventListener('click', () => controller.next());
+        $('[data-audio-mute]', panel).addEventListener('click', async () => {
             controller.toggleMute();
             await controller.ensurePlayingFromUserGesture();
-            this.sync();
         });
+        $('[data-audio-volume]', panel).addEventListener('input', (e) => {
+            controller.setVolume(Number(e.target.value));
+        });
+
+        // Close on Escape or a click elsewhere
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && !panel.hidden) {
+                this.setOpen(false);
+                btn.focus();
+            }
+        }, { signal });
+        document.addEventListener('click', (e) => {
+            if (!panel.hidden && !container.contains(e.target)) this.setOpen(false);
+        }, { signal });
 
-        container.appendChild(btn);
-        document.body.appendChild(container);
+        container.append(panel, btn);
+        this.root.appendChild(container);
+        this.container = container;
         this.button = btn;
+        this.panel = panel;
+        this.setOpen(false);
 
         // Sync now and whenever audio state changes
-        const controller = window.__BASCI_BG_AUDIO__;
-        if (controller?.audio) {
-            controller.audio.addEventListener('volumechange', () => this.sync());
-            controller.audio.addEventListener('play', () => this.sync());
-            controller.audio.addEventListener('pause', () => this.sync());
-        }
+        ['volumechange', 'play', 'pause', 'trackchange'].forEach(type => {
+            controller.audio.addEventListener(type, () => this.sync(), { signal });
+        });
 
         this.sync();
     }
 }
 
+// ==========================================================================
+// MEMBERSHIP RENEWAL
+// ==========================================================================
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * The visitor's own membership (tier, dates and details for prefilling a
+ * renewal), persisted in localStorage like BackgroundAudio's state. Changes
+ * are announced with a `basci:membershipchange` event on document.
+ */
+class MembershipStatus {
+    constructor(config = CONFIG.membership) {
+        this.config = config;
+        this.storageKey = config.statusKey;
+    }
+
+    getState() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            const state = raw ? JSON.parse(raw) : null;
+            return state?.expiresAt ? state : null;
+        } catch {
+            return null;
+        }
+    }
+
+    setState(partial) {
+        const next = { ...this.getState(), ...partial, updatedAt: Date.now() };
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(next));
+        } catch {
+            // ignore storage failures (private mode, quota, etc.)
+        }
+        this.notify(next);
+        return next;
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch {
+            // ignore
+        }
+        this.notify(null);
+    }
+
+    notify(state) {
+        document.dispatchEvent(new CustomEvent('basci:membershipchange', { detail: { state } }));
+    }
+
+    addMonths(date, months) {
+        const result = new Date(date);
+        const day = result.getDate();
+        result.setDate(1);
+        result.setMonth(result.getMonth() + months);
+        // Clamp e.g. 31 Jan + 1 month to the end of February
+        const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+        result.setDate(Math.min(day, lastDay));
+        return result;
+    }
+
+    /**
+     * Remember a join or renewal application the server received (see
+     * membership.js).
+     * Renewing before expiry extends from the current expiry date so no
+     * days are lost; otherwise the new year starts today.
+     */
+    record(application) {
+        const previous = this.getState();
+        const now = new Date(application.submittedAt || Date.now());
+        const previousExpiry = previous ? new Date(previous.expiresAt) : null;
+        const startsAt = previousExpiry && previousExpiry > now ? previousExpiry : now;
+
+        return this.setState({
+            tier: application.tier,
+            tierLabel: application.tierLabel,
+            member: application.applicant,
+            student: application.student
+                ? { college: application.student.college, studentNumber: application.student.studentNumber }
+                : null,
+            consent: application.consent,
+            joinedAt: previous?.joinedAt || now.toISOString(),
+            renewedAt: application.renewal ? now.toISOString() : previous?.renewedAt ?? null,
+            startsAt: startsAt.toISOString(),
+            expiresAt: this.addMonths(startsAt, this.config.validMonths).toISOString(),
+            dismissedUntil: null,
+        });
+    }
+
+    getDaysLeft(state = this.getState(), now = Date.now()) {
+        if (!state) return null;
+        return Math.ceil((new Date(state.expiresAt).getTime() - now) / DAY_MS);
+    }
+
+    isDueForRenewal(state = this.getState()) {
+        const daysLeft = this.getDaysLeft(state);
+        return daysLeft !== null && daysLeft <= this.config.reminderDays;
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleDateString('en-IE', { day: 'numeric', month: 'long', year: 'numeric' });
+    }
+
+    describeExpiry(state = this.getState()) {
+        const daysLeft = this.getDaysLeft(state);
+        const date = this.formatDate(state.expiresAt);
+        if (daysLeft < 0) return `expired on ${date}`;
+        if (daysLeft === 0) return 'expires today';
+        return `expires on ${date} (in ${daysLeft} day${daysLeft === 1 ? '' : 's'})`;
+    }
+
+    getRenewUrl() {
+        return getRootPath('index.html?renew=1#membership');
+    }
+}
+
+/**
+ * Dismissible banner shown from `reminderDays` before expiry. Dismissing it
+ * snoozes the reminder for `snoozeDays`.
+ */
+class RenewalReminder {
+    constructor(status = new MembershipStatus()) {
+        this.status = status;
+        this.banner = null;
+        this.controller = new AbortController();
+    }
+
+    mount(root = document.body) {
+        this.root = root;
+        this.init();
+        return this;
+    }
+
+    init() {
+        const { signal } = this.controller;
+
+        this.render();
+        document.addEventListener('basci:membershipchange', () => this.render(), { signal });
+        // The renew link is relative to the page, which the router may change
+        document.addEventListener('basci:pageload', () => this.render(), { signal });
+    }
+
+    destroy() {
+        this.controller.abort();
+        this.banner?.remove();
+        this.banner = null;
+    }
+
+    shouldShow(state) {
+        if (!state || !this.status.isDueForRenewal(state)) return false;
+        return !state.dismissedUntil || Date.now() >= state.dismissedUntil;
+    }
+
+    render() {
+        const state = this.status.getState();
+
+        if (!this.shouldShow(state)) {
+            this.banner?.remove();
+            this.banner = null;
+            return;
+        }
+
+        if (!this.banner) {
+            this.banner = document.createElement('div');
+            this.banner.className = 'renewal-banner';
+            this.banner.setAttribute('role', 'region');
+            this.banner.setAttribute('aria-label', 'Membership renewal');
+            this.root.appendChild(this.banner);
+        }
+
+        const name = state.member?.firstName ? `${state.member.firstName}, your` : 'Your';
+        const tier = state.tierLabel ? ` (${state.tierLabel})` : '';
+        this.banner.innerHTML = `
+            <p class="renewal-banner__text"></p>
+            <div class="renewal-banner__actions">
+                <a class="btn btn--primary btn--sm" data-join-renew href="${this.status.getRenewUrl()}">Renew now</a>
+                <button type="button" class="renewal-banner__dismiss" aria-label="Remind me later">
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" width="18" height="18" aria-hidden="true">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+            </div>
+        `;
+        $('.renewal-banner__text', this.banner).textContent =
+            `${name} membership${tier} ${this.status.describeExpiry(state)}.`;
+
+        $('.renewal-banner__dismiss', this.banner).addEventListener('click', () => {
+            this.status.setState({ dismissedUntil: Date.now() + CONFIG.membership.snoozeDays * DAY_MS });
+        });
+    }
+}
+
+/**
+ * "My membership" panel for any `[data-membership-panel]` element: shows
+ * what this browser remembers and lets the visitor renew or clear it.
+ */
+class MembershipPanel {
+    constructor(status = new MembershipStatus()) {
+        this.status = status;
+        this.controller = new AbortController();
+    }
+
+    mount(root = document) {
+        this.panels = $within('[data-membership-panel]', root);
+
+        if (this.panels.length) {
+            this.init();
+        }
+        return this;
+    }
+
+    init() {
+        this.render();
+        document.addEventListener('basci:membershipchange', () => this.render(), { signal: this.controller.signal });
+    }
+
+    destroy() {
+        this.controller.abort();
+    }
+
+    render() {
+        const state = this.status.getState();
+
+        this.panels.forEach(panel => {
+            panel.hidden = !state;
+            if (!state) {
+                panel.innerHTML = '';
+                return;
+            }
+
+            const daysLeft = this.status.getDaysLeft(state);
+            let statusLabel = 'Active';
+            if (daysLeft < 0) statusLabel = 'Expired';
+            else if (this.status.isDueForRenewal(state)) statusLabel = 'Due for renewal';
+
+            const rows = [
+                ['Member', [state.member?.firstName, state.member?.lastName].filter(Boolean).join(' ') || '-'],
+                ['Membership', state.tierLabel],
+                ['Member since', this.status.formatDate(state.joinedAt)],
+                ['Valid until', this.status.formatDate(state.expiresAt)],
+                ['Status', statusLabel],
+            ];
+
+            panel.innerHTML = `
+                <h3 class="my-membership__title">My membership</h3>
+                <dl class="my-membership__details"></dl>
+                <p class="my-membership__note">These details are only stored in this browser.</p>
+                <div class="my-membership__actions">
+                    <a class="btn btn--primary btn--sm" data-join-renew href="${this.status.getRenewUrl()}">Renew membership</a>
+                    <button type="button" class="btn btn--outline btn--sm" data-membership-clear>Clear my details</button>
+                </div>
+            `;
+
+            const details = $('.my-membership__details', panel);
+            rows.forEach(([label, value]) => {
+                const term = document.createElement('dt');
+                const detail = document.createElement('dd');
+                term.textContent = label;
+                detail.textContent = value;
+                details.append(term, detail);
+            });
+            panel.classList.toggle('my-membership--due', statusLabel !== 'Active');
+
+            $('[data-membership-clear]', panel).addEventListener('click', () => this.status.clear());
+        });
+    }
+}
+
+// ==========================================================================
+// COMPONENT REGISTRY
+// ==========================================================================
+
+/**
+ * Every DOM component follows one lifecycle: the constructor only holds
+ * config and state, `mount(root)` wires the component to `root` (and
+ * returns it), and `destroy()` removes every listener, observer, timer and
+ * element it added.
+ *
+ * Components are defined with the selector they own and mounted once per
+ * matching element; any element can also opt in with
+ * `data-component="name"`. Page-wide behaviours (smooth scrolling, reveal
+ * animations, lazy images…) are defined with `perRoot` instead: one
+ * instance per scan takes every new match, as `mount(root, elements)`.
+ * `scan(root)` mounts whatever is new inside a subtree (loaded content,
+ * modals, router swaps) and `destroy(root)` tears down everything mounted
+ * inside it.
+ */
+const Components = {
+    definitions: new Map(),
+    mounted: new Map(),
+    isStarted: false,
+
+    define(name, Component, selector = `[data-${name}]`, { perRoot = false } = {}) {
+        this.definitions.set(name, { Component, selector: `${selector}, [data-component~="${name}"]`, perRoot });
+        // Defined after start-up, e.g. by a script the router loaded
+        if (this.isStarted) this.scan(document, [name]);
+    },
+
+    start() {
+        this.isStarted = true;
+        this.scan();
+    },
+
+    scan(root = document, names = [...this.definitions.keys()]) {
+        names.forEach(name => {
+            const { selector, perRoot } = this.definitions.get(name);
+            const elements = $within(selector, root);
+
+            if (perRoot) {
+                const fresh = elements.filter(element => !this.get(element, name));
+                if (fresh.length) this.mountAll(name, fresh, root);
+            } else {
+                elements.forEach(element => this.mount(name, element));
+            }
+        });
+    },
+
+    mount(name, element) {
+        const existing = this.get(element, name);
+        if (existing) return existing;
+
+        const instance = this.create(name, component => component.mount(element));
+        if (instance) this.register(element, name, instance);
+        return instance;
+    },
+
+    /**
+     * One instance of a `perRoot` component for all of `elements`,
+     * registered under each of them.
+     */
+    mountAll(name, elements, root = document) {
+        const instance = this.create(name, component => component.mount(root, elements));
+        if (instance) elements.forEach(element => this.register(element, name, instance));
+        return instance;
+    },
+
+    create(name, mount) {
+        const definition = this.definitions.get(name);
+        if (!definition) {
+            console.warn(`Components: "${name}" is not defined`);
+            return null;
+        }
+
+        try {
+            const instance = new definition.Component();
+            mount(instance);
+            return instance;
+        } catch (error) {
+            console.warn(`Components: Could not mount "${name}"`, error);
+            return null;
+        }
+    },
+
+    register(element, name, instance) {
+        if (!this.mounted.has(element)) this.mounted.set(element, new Map());
+        this.mounted.get(element).set(name, instance);
+    },
+
+    get(element, name) {
+        return this.mounted.get(element)?.get(name) ?? null;
+    },
+
+    destroy(root = document) {
+        const destroyed = new Set();
+
+        this.mounted.forEach((instances, element) => {
+            if (root !== document && !root.contains(element)) return;
+
+            instances.forEach((instance, name) => {
+                if (destroyed.has(instance)) return;
+                destroyed.add(instance);
+                try {
+                    instance.destroy?.();
+                } catch (error) {
+                    console.warn(`Components: Could not destroy "${name}"`, error);
+                }
+            });
+            this.mounted.delete(element);
+        });
+
+        // A perRoot instance can also cover elements outside `root`: they
+        // get a fresh instance of their own
+        const survivors = new Map();
+        this.mounted.forEach((instances, element) => {
+            instances.forEach((instance, name) => {
+                if (!destroyed.has(instance)) return;
+                instances.delete(name);
+                if (!survivors.has(name)) survivors.set(name, []);
+                survivors.get(name).push(element);
+            });
+            if (!instances.size) this.mounted.delete(element);
+        });
+        survivors.forEach((elements, name) => this.mountAll(name, elements));
+    },
+};
+
+// ==========================================================================
+// CLIENT-SIDE NAVIGATION
+// ==========================================================================
+
+/**
+ * Opt-in router for pages with `<body data-router>`. Same-origin links to
+ * other pages are fetched and their CONFIG.router.regions swapped in, so
+ * the background audio (and anything else outside those regions) survives
+ * the navigation. Components in the old regions are destroyed, scripts the
+ * new page needs are loaded once, the new regions are scanned for
+ * components, and `basci:pageload` fires on document.
+ * Links opt out with `data-router-ignore`; any error falls back to a
+ * normal page load.
+ */
+class PageRouter {
+    constructor(config = CONFIG.router) {
+        this.config = config;
+        this.controller = null;
+        this.path = window.location.pathname;
+        // Resolved now: once the URL changes, a relative `src` would resolve
+        // against the new page
+        this.loadedScripts = new Set($$('script[src]').map(script => script.src));
+
+        if (this.isSupported()) {
+            this.init();
+        }
+    }
+
+    isSupported() {
+        return document.body.hasAttribute('data-router')
+            && 'fetch' in window
+            && 'DOMParser' in window
+            && 'AbortController' in window
+            && typeof history.pushState === 'function';
+    }
+
+    init() {
+        // Runs after the document-level handlers (video lightbox, join
+        // buttons, smooth scroll), so links they handle are left alone
+        window.addEventListener('click', (e) => this.handleClick(e));
+        window.addEventListener('popstate', (e) => this.handlePopState(e));
+    }
+
+    handleClick(e) {
+        if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+
+        const link = e.target.closest('a[href]');
+        if (!link || !this.shouldHandle(link)) return;
+
+        e.preventDefault();
+        this.navigate(link.href);
+    }
+
+    shouldHandle(link) {
+        if (link.hasAttribute('download') || link.hasAttribute('data-router-ignore')) return false;
+        if (link.target && link.target !== '_self') return false;
+
+        const url = new URL(link.href, window.location.href);
+        if (url.origin !== window.location.origin) return false;
+        if (!/(\.html|\/)$/.test(url.pathname)) return false;
+
+        // Anchors on the current page are left to the browser
+        return !(url.hash && url.pathname === window.location.pathname && url.search === window.location.search);
+    }
+
+    handlePopState(e) {
+        // Hash changes within the page that is already shown
+        if (window.location.pathname === this.path) return;
+
+        this.navigate(window.location.href, { push: false, scrollY: e.state?.scrollY ?? 0 });
+    }
+
+    async navigate(url, { push = true, scrollY = 0 } = {}) {
+        this.controller?.abort();
+        const controller = new AbortController();
+        this.controller = controller;
+        const timer = setTimeout(() => controller.abort(), this.config.timeout);
+        let committed = !push;
+
+        document.body.classList.add('is-navigating');
+
+        try {
+            const doc = await this.fetchPage(url, controller.signal);
+
+            if (push) {
+                // Remember where we were for the back button
+                history.replaceState({ ...history.state, scrollY: window.scrollY }, '');
+                history.pushState({ scrollY: 0 }, '', url);
+                committed = true;
+            }
+            // Manual from now on: the content arrives after popstate
+            history.scrollRestoration = 'manual';
+
+            await this.swap(doc, url);
+            this.restoreScroll(url, scrollY);
+            this.focusContent();
+        } catch (error) {
+            // Superseded by a newer navigation
+            if (controller !== this.controller) return;
+
+            console.warn(`PageRouter: Falling back to a full page load of ${url}`, error);
+            if (committed) {
+                window.location.replace(url);
+            } else {
+                window.location.assign(url);
+            }
+        } finally {
+            clearTimeout(timer);
+            if (controller === this.controller) {
+                this.controller = null;
+                document.body.classList.remove('is-navigating');
+            }
+        }
+    }
+
+    async fetchPage(url, signal) {
+        const response = await fetch(url, { signal, headers: { Accept: 'text/html' } });
+        const type = response.headers.get('Content-Type') || '';
+        if (!response.ok || !type.includes('text/html')) {
+            throw new Error(`Unexpected response (${response.status} ${type})`);
+        }
+
+        const doc = new DOMParser().parseFromString(await response.text(), 'text/html');
+        const isCompatible = doc.body.hasAttribute('data-router')
+            && this.config.regions.every(selector => $(selector) && $(selector, doc));
+        if (!isCompatible) {
+            throw new Error('Page layout does not match');
+        }
+
+        return doc;
+    }
+
+    /**
+     * Replace the regions, title, description and page styles with the new
+     * page's, then load its missing scripts and mount its components. The
+     * URL has already changed, so relative links resolve against the new page.
+     */
+    async swap(doc, url) {
+        const regions = this.config.regions.map(selector => {
+            const region = $(selector);
+            const replacement = document.importNode($(selector, doc), true);
+
+            Components.destroy(region);
+            region.replaceWith(replacement);
+            return replacement;
+        });
+
+        document.title = doc.title;
+        const description = $('meta[name="description"]', doc)?.getAttribute('content');
+        if (description) $('meta[name="description"]')?.setAttribute('content', description);
+
+        $$('style[data-page-style]').forEach(style => style.remove());
+        $$('style[data-page-style]', doc).forEach(style => document.head.appendChild(document.importNode(style, true)));
+
+        this.path = new URL(url, window.location.href).pathname;
+        await this.loadScripts(doc, url);
+
+        regions.forEach(region => Components.scan(region));
+        document.dispatchEvent(new CustomEvent('basci:pageload', { detail: { url } }));
+    }
+
+    /**
+     * Page scripts run once per visit, so only those this visit hasn't
+     * loaded yet are added (in order). Inline scripts are not run.
+     */
+    async loadScripts(doc, url) {
+        const scripts = $$('script[src]', doc.body)
+            .map(script => new URL(script.getAttribute('src'), url).href)
+            .filter(src => !this.loadedScripts.has(src));
+
+        for (const src of scripts) {
+            await new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = src;
+                script.onload = resolve;
+                script.onerror = () => reject(new Error(`Could not load ${src}`));
+                document.body.appendChild(script);
+            });
+            this.loadedScripts.add(src);
+        }
+    }
+
+    restoreScroll(url, scrollY) {
+        const { hash } = new URL(url, window.location.href);
+        const target = hash && document.getElementById(decodeURIComponent(hash.slice(1)));
+
+        if (target) {
+            const headerHeight = $('.header')?.offsetHeight || 0;
+            window.scrollTo(0, target.getBoundingClientRect().top + window.pageYOffset - headerHeight);
+        } else {
+            window.scrollTo(0, scrollY);
+        }
+    }
+
+    focusContent() {
+        // Move screen readers and keyboard focus to the new content
+        const main = $('main');
+        if (!main) return;
+
+        main.setAttribute('tabindex', '-1');
+        main.focus({ preventScroll: true });
+    }
+}
+
 // ==========================================================================
 // INITIALIZATION
 // ==========================================================================
 
+// Mounted on every matching element (or once per scanned root with
+// perRoot) by Components.scan()
+Components.define('navigation', Navigation, '.header');
+Components.define('smooth-scroll', SmoothScroll, 'a[href^="#"]', { perRoot: true });
+Components.define('animate', ScrollAnimations, '[data-animate]', { perRoot: true });
+Components.define('counter', CounterAnimation, '[data-count], [data-counter], [data-count-event]', { perRoot: true });
+Components.define('adaptive-video', AdaptiveVideo, 'video', { perRoot: true });
+Components.define('parallax', Parallax, '[data-parallax]', { perRoot: true });
+Components.define('back-to-top', BackToTop, '.back-to-top');
+// Before contact-form, whose submit handler relies on validation running first
+Components.define('validate', FormValidation, 'form[data-validate]');
+Components.define('contact-form', ContactForm);
+Components.define('page-loader', PageLoader, '.page-loader');
+Components.define('lazy', LazyLoad, 'img[data-src]', { perRoot: true });
+Components.define('faq', FaqAccordion);
+Components.define('social-tabs', SocialFeedTabs);
+Components.define('membership-panel', MembershipPanel);
+Components.define('current-year', CurrentYear, '#currentYear');
+
 document.addEventListener('DOMContentLoaded', () => {
-    // Core functionality
-    new Navigation();
-    new SmoothScroll();
-    new ScrollAnimations();
-
-    // Enhanced features
-    new CounterAnimation();
-    new VideoPlayer();
-    new HeroVideo();
-    new BackToTop();
-    new FormValidation();
-    new PageLoader();
-    new LazyLoad();
-    new Parallax();
-    new SocialFloatingButtons();
+    // Sitewide: these outlive client-side navigation
     new BackgroundAudio();
-    new BackgroundAudioToggle();
+    new VideoPlayer().mount(document);
+    new SocialFloatingButtons().mount();
+    new AudioMiniPlayer().mount();
+    new RenewalReminder().mount();
+
+    Components.start();
+    new PageRouter();
 
     console.log('🏆 BASCI Website initialized successfully!');
 });
@@ -882,10 +3561,21 @@ document.addEventListener('DOMContentLoaded', () => {
 //     SmoothScroll,
 //     CounterAnimation,
 //     VideoPlayer,
-//     HeroVideo,
+//     AdaptiveVideo,
 //     Parallax,
 //     BackToTop,
 //     FormValidation,
+//     ContactForm,
+//     StorageQueue,
+//     SubmissionAdapters,
+//     MembershipStatus,
+//     RenewalReminder,
+//     MembershipPanel,
 //     PageLoader,
-//     LazyLoad
+//     LazyLoad,
+//     FaqAccordion,
+//     SocialFeedTabs,
+//     CurrentYear,
+//     Components,
+//     PageRouter
 // };
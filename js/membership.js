@@ -0,0 +1,768 @@
+/**
+ * ==========================================================================
+ * BASCI Website - Membership Sign-up
+ * ==========================================================================
+ *
+ * Turns the "Join Now" buttons on the membership cards (`data-join-tier`)
+ * into a step-by-step application: tier, personal details, student ID
+ * (students only), consent and a final review. Each step is checked with
+ * FormValidation, progress is kept as a draft in localStorage, and the
+ * finished application goes to the adapter set in CONFIG.membership.
+ * Completed applications are remembered by MembershipStatus (main.js) so
+ * `data-join-renew` links and `?renew=1` can reopen the wizard prefilled.
+ */
+
+'use strict';
+
+// ==========================================================================
+// STEPS & DRAFT
+// ==========================================================================
+
+// `tier` limits a step to one membership tier
+const JOIN_STEPS = [
+    { id: 'tier', label: 'Membership' },
+    { id: 'details', label: 'Your details' },
+    { id: 'student', label: 'Student ID', tier: 'student' },
+    { id: 'consent', label: 'Consent' },
+    { id: 'review', label: 'Review' },
+];
+
+class MembershipDraft {
+    constructor(storageKey) {
+        this.storageKey = storageKey;
+    }
+
+    load() {
+        try {
+            const raw = localStorage.getItem(this.storageKey);
+            return raw ? JSON.parse(raw) : null;
+        } catch {
+            return null;
+        }
+    }
+
+    save(draft) {
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(draft));
+        } catch {
+            // ignore storage failures (private mode, quota, etc.)
+        }
+    }
+
+    clear() {
+        try {
+            localStorage.removeItem(this.storageKey);
+        } catch {
+            // ignore
+        }
+    }
+}
+
+/**
+ * Queued applications leave the student card photo behind: as a data URL it
+ * can use up the localStorage quota on its own. The queued copy keeps the
+ * file details and marks the ID as following by email.
+ */
+class ApplicationQueue extends StorageQueue {
+    add(application) {
+        const idDocument = application.student?.idDocument;
+        if (!idDocument?.dataUrl) return super.add(application);
+
+        const { dataUrl, ...file } = idDocument;
+        return super.add({
+            ...application,
+            student: { ...application.student, idDocument: { ...file, toFollow: true } },
+        });
+    }
+}
+
+// ==========================================================================
+// JOIN WIZARD
+// ==========================================================================
+
+class MembershipWizard {
+    constructor(config = CONFIG.membership) {
+        this.config = config;
+        this.queue = new ApplicationQueue(config.storageKey);
+        this.adapter = createSubmissionAdapter(config, this.queue, MembershipWizard.formatEmail);
+        this.draft = new MembershipDraft(config.draftKey);
+        this.status = new MembershipStatus(config);
+        this.stepIndex = 0;
+        this.isComplete = false;
+        this.renewal = null;
+        this.lastTrigger = null;
+        this.init();
+    }
+
+    static formatEmail(application) {
+        const { applicant, student, consent } = application;
+        const lines = [
+            `Membership: ${application.tierLabel} (€${application.price}/year)`,
+            `Name: ${applicant.firstName} ${applicant.lastName}`,
+            `Email: ${applicant.email}`,
+            `Phone: ${applicant.phone}`,
+            `Date of birth: ${applicant.dateOfBirth}`,
+            `Eircode: ${applicant.eircode || '-'}`,
+        ];
+
+        if (student) {
+            lines.push(
+                `College: ${student.college}`,
+                `Student number: ${student.studentNumber}`,
+                'Student ID: please attach a photo of your student card to this email'
+            );
+        }
+
+        lines.push(
+            `Code of conduct accepted: ${consent.codeOfConduct ? 'Yes' : 'No'}`,
+            `Photo consent: ${consent.photos ? 'Yes' : 'No'}`,
+            `Newsletter: ${consent.newsletter ? 'Yes' : 'No'}`
+        );
+
+        return {
+            subject: `Membership ${application.renewal ? 'renewal' : 'application'}: ${applicant.firstName} ${applicant.lastName}`,
+            body: lines.join('\n'),
+        };
+    }
+
+    getMessages() {
+        return {
+            sent: 'Welcome to BASCI! We have received your application and will email you the payment details shortly.',
+            queued: 'Your application is saved on this device. We will send it as soon as we can reach our server.',
+            saved: 'Your application has been saved on this device.',
+            mailto: 'Your email app should now open with your application. Please press send to complete it.',
+            idToFollow: `Please also email a photo of your student card to ${this.config.email}.`,
+            failed: `Sorry, your application could not be sent or saved on this device. Please try again, or email us at ${this.config.email}.`,
+            error: `Sorry, your application could not be submitted. Please try again, or email us at ${this.config.email}.`,
+        };
+    }
+
+    init() {
+        this.createModal();
+
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-join-tier]');
+            if (!trigger) return;
+
+            e.preventDefault();
+            this.lastTrigger = trigger;
+            this.open(trigger.dataset.joinTier);
+        });
+
+        // Renewal links from the reminder banner and "My membership" panel
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-join-renew]');
+            if (!trigger || !this.status.getState()) return;
+
+            e.preventDefault();
+            this.lastTrigger = trigger;
+            this.renew();
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('is-open')) {
+                this.close();
+            }
+        });
+
+        this.adapter.flush();
+        this.checkRenewLink();
+    }
+
+    /**
+     * Arriving from a renewal link on another page (`?renew=1`).
+     */
+    checkRenewLink() {
+        const url = new URL(window.location.href);
+        if (!url.searchParams.has('renew')) return;
+
+        url.searchParams.delete('renew');
+        history.replaceState(history.state, '', url);
+        if (this.status.getState()) this.renew();
+    }
+
+    createModal() {
+        const tiers = Object.entries(this.config.tiers).map(([value, tier]) => `
+            <label class="join-tier">
+                <input type="radio" name="tier" value="${value}" required>
+                <span class="join-tier__name">${tier.label}</span>
+                <span class="join-tier__price">€${tier.price}<small>/year</small></span>
+            </label>
+        `).join('');
+
+        // The card photo is only sent with the post adapter; by email it has
+        // to be attached by hand, so there's nothing to upload here
+        const studentCard = this.uploadsStudentCard() ? `
+            <div class="form-group">
+                <label for="joinStudentId">Student Card <span class="required">*</span></label>
+                <input type="file" id="joinStudentId" name="studentIdFile" required accept="image/*,.pdf" data-max-size="5MB" aria-describedby="joinStudentIdHint">
+                <small class="join-wizard__hint" id="joinStudentIdHint">
+                    A photo or scan of your current student card (image or PDF, up to 5MB).
+                    Files aren't kept in your saved draft.
+                </small>
+            </div>
+        ` : `
+            <p class="join-wizard__hint">
+                Please email a photo or scan of your current student card to
+                <a href="mailto:${this.config.email}">${this.config.email}</a> with your application.
+            </p>
+        `;
+
+        const modal = document.createElement('div');
+        modal.className = 'join-modal';
+        modal.id = 'joinModal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'joinTitle');
+        modal.hidden = true;
+        modal.innerHTML = `
+            <div class="join-modal__overlay" data-join-close></div>
+            <div class="join-modal__content">
+                <button type="button" class="join-modal__close" aria-label="Close membership application" data-join-close>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+                <span class="join-modal__badge">Join the Family</span>
+                <h2 class="join-modal__title" id="joinTitle">Membership Application</h2>
+
+                <ol class="join-wizard__progress" aria-label="Application steps"></ol>
+
+                <p class="join-wizard__notice" hidden>
+                    We've restored your application in progress.
+                    <button type="button" class="join-wizard__restart" data-join-restart>Start again</button>
+                </p>
+
+                <form class="join-wizard" data-validate novalidate>
+                    <fieldset class="join-wizard__step" data-step="tier">
+                        <legend class="join-wizard__legend" tabindex="-1">Choose your membership</legend>
+                        <div class="form-group join-wizard__tiers">
+                            ${tiers}
+                        </div>
+                    </fieldset>
+
+                    <fieldset class="join-wizard__step" data-step="details" hidden>
+                        <legend class="join-wizard__legend" tabindex="-1">Your details</legend>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="joinFirstName">First Name <span class="required">*</span></label>
+                                <input type="text" id="joinFirstName" name="firstName" required autocomplete="given-name">
+                            </div>
+                            <div class="form-group">
+                                <label for="joinLastName">Last Name <span class="required">*</span></label>
+                                <input type="text" id="joinLastName" name="lastName" required autocomplete="family-name">
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="joinEmail">Email Address <span class="required">*</span></label>
+                                <input type="email" id="joinEmail" name="email" required autocomplete="email">
+                            </div>
+                            <div class="form-group">
+                                <label for="joinEmailConfirm">Confirm Email <span class="required">*</span></label>
+                                <input type="email" id="joinEmailConfirm" name="emailConfirm" required data-match="#joinEmail" data-error-match="The email addresses do not match">
+                            </div>
+                        </div>
+                        <div class="form-row">
+                            <div class="form-group">
+                                <label for="joinPhone">Phone Number <span class="required">*</span></label>
+                                <input type="tel" id="joinPhone" name="phone" required data-rule="irish-phone" autocomplete="tel">
+                            </div>
+                            <div class="form-group">
+                                <label for="joinDob">Date of Birth <span class="required">*</span></label>
+                                <input type="date" id="joinDob" name="dateOfBirth" required data-error-range="Please enter a date of birth in the past">
+                            </div>
+                        </div>
+                        <div class="form-group">
+                            <label for="joinEircode">Eircode</label>
+                            <input type="text" id="joinEircode" name="eircode" data-rule="eircode" autocomplete="postal-code">
+                        </div>
+                    </fieldset>
+
+                    <fieldset class="join-wizard__step" data-step="student" hidden>
+                        <legend class="join-wizard__legend" tabindex="-1">Student ID</legend>
+                        <div class="form-group">
+                            <label for="joinCollege">College or University <span class="required">*</span></label>
+                            <input type="text" id="joinCollege" name="college" required>
+                        </div>
+                        <div class="form-group">
+                            <label for="joinStudentNumber">Student Number <span class="required">*</span></label>
+                            <input type="text" id="joinStudentNumber" name="studentNumber" required>
+                        </div>
+                        ${studentCard}
+                    </fieldset>
+
+                    <fieldset class="join-wizard__step" data-step="consent" hidden>
+                        <legend class="join-wizard__legend" tabindex="-1">Consent &amp; code of conduct</legend>
+                        <div class="form-group form-check">
+                            <input type="checkbox" id="joinConduct" name="codeOfConduct" value="yes" required data-error-required="Please accept the code of conduct to join">
+                            <label for="joinConduct">
+                                I agree to the BASCI code of conduct: fair play, respect for fellow players,
+                                officials and volunteers, and no discrimination of any kind.
+                            </label>
+                        </div>
+                        <div class="form-group form-check">
+                            <input type="checkbox" id="joinData" name="dataProtection" value="yes" required data-error-required="We need your consent to manage your membership">
+                            <label for="joinData">I agree to BASCI keeping my details to manage my membership.</label>
+                        </div>
+                        <div class="form-group form-check">
+                            <input type="checkbox" id="joinPhotos" name="photos" value="yes">
+                            <label for="joinPhotos">I'm happy to appear in club photos and videos.</label>
+                        </div>
+                        <div class="form-group form-check">
+                            <input type="checkbox" id="joinNewsletter" name="newsletter" value="yes">
+                            <label for="joinNewsletter">Send me news about club events.</label>
+                        </div>
+                    </fieldset>
+
+                    <fieldset class="join-wizard__step" data-step="review" hidden>
+                        <legend class="join-wizard__legend" tabindex="-1">Review your application</legend>
+                        <div class="join-wizard__review"></div>
+                    </fieldset>
+
+                    <p class="join-wizard__error" role="alert" hidden></p>
+
+                    <div class="join-wizard__nav">
+                        <button type="button" class="btn btn--outline" data-join-back>Back</button>
+                        <button type="button" class="btn btn--primary" data-join-next>Continue</button>
+                        <button type="submit" class="btn btn--primary" data-join-submit>Submit Application</button>
+                    </div>
+                </form>
+
+                <div class="join-modal__result" aria-live="polite" hidden>
+                    <p class="join-modal__message"></p>
+                    <button type="button" class="btn btn--outline btn--sm" data-join-close>Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+        this.form = modal.querySelector('form');
+        this.result = modal.querySelector('.join-modal__result');
+        this.notice = modal.querySelector('.join-wizard__notice');
+        this.error = modal.querySelector('.join-wizard__error');
+        this.progress = modal.querySelector('.join-wizard__progress');
+        this.fieldsets = [...modal.querySelectorAll('[data-step]')];
+
+        // Enter on an earlier step moves forward instead of submitting.
+        // Capture listeners on the target run before FormValidation's.
+        this.form.addEventListener('submit', (e) => {
+            if (this.getCurrentStep().id === 'review' && this.checkSteps()) return;
+            e.preventDefault();
+            e.stopImmediatePropagation();
+            if (this.getCurrentStep().id !== 'review') this.next();
+        }, true);
+
+        this.validation = Components.mount('validate', this.form);
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        this.form.elements.tier.forEach(radio => {
+            radio.addEventListener('change', () => this.renderProgress());
+        });
+
+        modal.querySelector('[data-join-next]').addEventListener('click', () => this.next());
+        modal.querySelector('[data-join-back]').addEventListener('click', () => this.back());
+        modal.querySelector('[data-join-restart]').addEventListener('click', () => this.restart());
+        modal.querySelectorAll('[data-join-close]').forEach(el => {
+            el.addEventListener('click', () => this.close());
+        });
+
+        // "Edit" links in the review jump back to their step
+        modal.querySelector('.join-wizard__review').addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-join-edit]');
+            if (edit) this.goTo(edit.dataset.joinEdit);
+        });
+    }
+
+    getTier() {
+        return this.form.elements.tier.value;
+    }
+
+    /**
+     * Steps that apply to the chosen tier.
+     */
+    getSteps() {
+        const tier = this.getTier();
+        return JOIN_STEPS.filter(step => !step.tier || step.tier === tier);
+    }
+
+    getCurrentStep() {
+        return this.getSteps()[this.stepIndex] ?? JOIN_STEPS[0];
+    }
+
+    getFieldset(id) {
+        return this.fieldsets.find(fieldset => fieldset.dataset.step === id);
+    }
+
+    getStepFields(id) {
+        const fieldset = this.getFieldset(id);
+        return this.validation.getFields(this.form).filter(input => fieldset.contains(input));
+    }
+
+    renderProgress() {
+        const steps = this.getSteps();
+        this.progress.innerHTML = steps.map((step, i) => {
+            const state = i < this.stepIndex ? ' is-complete' : '';
+            const current = i === this.stepIndex ? ' aria-current="step"' : '';
+            return `<li class="join-wizard__progress-step${state}"${current}>${step.label}</li>`;
+        }).join('');
+    }
+
+    showStep(index, { focus = true } = {}) {
+        const steps = this.getSteps();
+        this.stepIndex = Math.max(0, Math.min(index, steps.length - 1));
+        const current = steps[this.stepIndex];
+        const active = new Set(steps.map(step => step.id));
+
+        // Steps that don't apply are disabled so validation and the
+        // final submit ignore them
+        this.fieldsets.forEach(fieldset => {
+            fieldset.hidden = fieldset.dataset.step !== current.id;
+            fieldset.disabled = !active.has(fieldset.dataset.step);
+        });
+
+        const isReview = current.id === 'review';
+        this.error.hidden = true;
+        this.modal.querySelector('[data-join-back]').hidden = this.stepIndex === 0;
+        this.modal.querySelector('[data-join-next]').hidden = isReview;
+        this.modal.querySelector('[data-join-submit]').hidden = !isReview;
+
+        if (isReview) this.renderReview();
+        this.renderProgress();
+
+        if (focus) {
+            this.getFieldset(current.id).querySelector('legend').focus();
+        }
+    }
+
+    goTo(id) {
+        const index = this.getSteps().findIndex(step => step.id === id);
+        if (index !== -1) this.showStep(index);
+    }
+
+    async next() {
+        const step = this.getCurrentStep();
+        const isValid = await this.validation.validateForm(this.form, this.getStepFields(step.id));
+        if (!isValid) return;
+
+        this.showStep(this.stepIndex + 1);
+        this.saveDraft();
+    }
+
+    back() {
+        this.showStep(this.stepIndex - 1);
+        this.saveDraft();
+    }
+
+    /**
+     * Before the final submit, check every step and send the visitor back to
+     * the first one that no longer passes (e.g. a draft restored without its
+     * file). Returns true when all steps pass.
+     */
+    checkSteps() {
+        const invalid = this.getSteps().find(step =>
+            this.getStepFields(step.id).some(input => this.validation.validateField(input) === false)
+        );
+        if (!invalid) return true;
+
+        this.goTo(invalid.id);
+        return false;
+    }
+
+    getValues() {
+        const values = {};
+        for (const [name, value] of new FormData(this.form)) {
+            if (typeof value === 'string') values[name] = value.trim();
+        }
+        return values;
+    }
+
+    saveDraft() {
+        // Renewals are prefilled from the stored membership instead
+        if (this.isComplete || this.renewal) return;
+        this.draft.save({ step: this.getCurrentStep().id, values: this.getValues() });
+    }
+
+    restoreDraft(draft) {
+        Object.entries(draft.values || {}).forEach(([name, value]) => {
+            const field = this.form.elements[name];
+            if (!field || value == null) return;
+
+            if (field instanceof RadioNodeList) {
+                field.value = value;
+            } else if (field.type === 'checkbox') {
+                field.checked = Boolean(value);
+            } else if (field.type !== 'file') {
+                field.value = value;
+            }
+        });
+    }
+
+    /**
+     * First step with a required field still empty, e.g. the student card on
+     * a renewal, or -1 when every step is filled in.
+     */
+    getFirstIncompleteStep() {
+        return this.getSteps().findIndex(step =>
+            this.getStepFields(step.id).some(input => input.required && !this.validation.getValue(input).length)
+        );
+    }
+
+    /**
+     * Reopen the wizard prefilled from the stored membership.
+     */
+    renew() {
+        const state = this.status.getState();
+        const values = {
+            ...state.member,
+            emailConfirm: state.member?.email,
+            ...state.student,
+            codeOfConduct: state.consent?.codeOfConduct,
+            dataProtection: state.consent?.dataProtection,
+            photos: state.consent?.photos,
+            newsletter: state.consent?.newsletter,
+        };
+
+        this.open(state.tier, { renewal: state, values });
+    }
+
+    open(tier, { renewal = null, values = null } = {}) {
+        const draft = renewal ? null : this.draft.load();
+
+        this.renewal = renewal;
+        this.isComplete = false;
+        this.form.reset();
+        this.fieldsets.forEach(fieldset => { fieldset.disabled = false; });
+        this.validation.reset(this.form);
+        this.form.elements.dateOfBirth.max = new Date().toISOString().slice(0, 10);
+
+        if (draft) this.restoreDraft(draft);
+        if (values) this.restoreDraft({ values });
+        if (tier && this.config.tiers[tier]) this.form.elements.tier.value = tier;
+        this.notice.hidden = !draft;
+        this.modal.querySelector('.join-modal__title').textContent =
+            renewal ? 'Membership Renewal' : 'Membership Application';
+
+        this.form.hidden = false;
+        this.result.hidden = true;
+
+        this.modal.hidden = false;
+        // Next frame so the opacity transition runs
+        requestAnimationFrame(() => this.modal.classList.add('is-open'));
+        document.body.style.overflow = 'hidden';
+
+        if (renewal) {
+            // Straight to the review unless something needs filling in again
+            const incomplete = this.getFirstIncompleteStep();
+            this.showStep(incomplete !== -1 ? incomplete : this.getSteps().length - 1);
+            return;
+        }
+
+        // A card click means the tier is chosen; resume a draft where it left off
+        const steps = this.getSteps();
+        const resumeAt = draft ? steps.findIndex(step => step.id === draft.step) : -1;
+        this.showStep(resumeAt !== -1 ? resumeAt : (tier ? 1 : 0));
+    }
+
+    close() {
+        // Keep the draft once the visitor has got past choosing a tier
+        if (this.stepIndex > 0) this.saveDraft();
+        this.modal.classList.remove('is-open');
+        this.modal.hidden = true;
+        document.body.style.overflow = '';
+        this.lastTrigger?.focus();
+    }
+
+    restart() {
+        const tier = this.getTier();
+        this.draft.clear();
+        this.form.reset();
+        this.validation.reset(this.form);
+        this.form.elements.tier.value = tier;
+        this.notice.hidden = true;
+        this.showStep(0);
+    }
+
+    uploadsStudentCard() {
+        return this.config.adapter === 'post';
+    }
+
+    getStudentCard() {
+        return this.form.elements.studentIdFile?.files[0] ?? null;
+    }
+
+    renderReview() {
+        const values = this.getValues();
+        const tier = this.config.tiers[values.tier];
+        const file = this.getStudentCard();
+
+        const sections = [
+            ['tier', [['Membership', tier ? `${tier.label} (€${tier.price}/year)` : '-']]],
+            ['details', [
+                ['Name', `${values.firstName} ${values.lastName}`],
+                ['Email', values.email],
+                ['Phone', values.phone],
+                ['Date of birth', values.dateOfBirth],
+                ['Eircode', values.eircode || '-'],
+            ]],
+            ['student', [
+                ['College', values.college],
+                ['Student number', values.studentNumber],
+                ['Student card', this.uploadsStudentCard() ? file?.name ?? '-' : 'To be emailed'],
+            ]],
+            ['consent', [
+                ['Code of conduct', values.codeOfConduct ? 'Accepted' : '-'],
+                ['Photos and videos', values.photos ? 'Yes' : 'No'],
+                ['Club news', values.newsletter ? 'Yes' : 'No'],
+            ]],
+        ];
+
+        const review = this.modal.querySelector('.join-wizard__review');
+        review.innerHTML = '';
+
+        sections
+            .filter(([id]) => this.getSteps().some(step => step.id === id))
+            .forEach(([id, rows]) => {
+                const section = document.createElement('div');
+                section.className = 'join-wizard__review-section';
+
+                const list = document.createElement('dl');
+                rows.forEach(([label, value]) => {
+                    const term = document.createElement('dt');
+                    const detail = document.createElement('dd');
+                    term.textContent = label;
+                    detail.textContent = value;
+                    list.append(term, detail);
+                });
+
+                const edit = document.createElement('button');
+                edit.type = 'button';
+                edit.className = 'join-wizard__edit';
+                edit.dataset.joinEdit = id;
+                edit.textContent = 'Edit';
+                edit.setAttribute('aria-label', `Edit ${JOIN_STEPS.find(step => step.id === id).label}`);
+
+                section.append(list, edit);
+                review.appendChild(section);
+            });
+    }
+
+    readFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    async getPayload() {
+        const values = this.getValues();
+        const tier = this.config.tiers[values.tier];
+        let student = null;
+
+        if (values.tier === 'student') {
+            const file = this.getStudentCard();
+            student = {
+                college: values.college,
+                studentNumber: values.studentNumber,
+                idDocument: file ? {
+                    name: file.name,
+                    type: file.type,
+                    size: file.size,
+                    dataUrl: await this.readFile(file),
+                } : null,
+            };
+        }
+
+        return {
+            id: createSubmissionId(),
+            tier: values.tier,
+            tierLabel: tier.label,
+            price: tier.price,
+            currency: 'EUR',
+            renewal: Boolean(this.renewal),
+            previousExpiry: this.renewal?.expiresAt ?? null,
+            applicant: {
+                firstName: values.firstName,
+                lastName: values.lastName,
+                email: values.email,
+                phone: values.phone,
+                dateOfBirth: values.dateOfBirth,
+                eircode: values.eircode || '',
+            },
+            student,
+            consent: {
+                codeOfConduct: Boolean(values.codeOfConduct),
+                dataProtection: Boolean(values.dataProtection),
+                photos: Boolean(values.photos),
+                newsletter: Boolean(values.newsletter),
+            },
+            submittedAt: new Date().toISOString(),
+        };
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const submitBtn = this.modal.querySelector('[data-join-submit]');
+        submitBtn.disabled = true;
+        this.error.hidden = true;
+
+        try {
+            const payload = await this.getPayload();
+            const { status } = await this.adapter.submit(payload);
+            if (status === 'failed') {
+                this.error.textContent = this.getMessages().failed;
+                this.error.hidden = false;
+                return;
+            }
+
+            this.isComplete = true;
+            this.draft.clear();
+            // Only an application the server received starts (or extends) a
+            // membership; a mailto or queued one may never arrive
+            if (status === 'sent') this.status.record(payload);
+
+            const messages = this.getMessages();
+            // Kept without the card photo (see ApplicationQueue)
+            const idToFollow = ['queued', 'saved'].includes(status) && payload.student?.idDocument;
+            this.modal.querySelector('.join-modal__message').textContent =
+                idToFollow ? `${messages[status]} ${messages.idToFollow}` : messages[status];
+            this.form.hidden = true;
+            this.progress.innerHTML = '';
+            this.notice.hidden = true;
+            this.result.hidden = false;
+            this.result.querySelector('button').focus();
+        } catch {
+            // e.g. the student card file could no longer be read
+            this.error.textContent = this.getMessages().error;
+            this.error.hidden = false;
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+}
+
+// Auto-initialize when the page has join buttons. Like the registration
+// modal, the wizard survives client-side navigation and is created once.
+function initMembership() {
+    if (window.__BASCI_MEMBERSHIP__) {
+        window.__BASCI_MEMBERSHIP__.checkRenewLink();
+    } else if (document.querySelector('[data-join-tier]')) {
+        window.__BASCI_MEMBERSHIP__ = new MembershipWizard();
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initMembership);
+} else {
+    initMembership();
+}
+document.addEventListener('basci:pageload', initMembership);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { MembershipWizard, MembershipDraft, JOIN_STEPS };
+}
@@ -0,0 +1,236 @@
+/**
+ * ==========================================================================
+ * BASCI Website - Event Registration
+ * ==========================================================================
+ *
+ * Opens a registration form for any element with `data-register-event`
+ * (calendar entries and signature event cards) and hands valid submissions
+ * to the adapter configured in CONFIG.registration (see SubmissionAdapters
+ * in main.js).
+ */
+
+'use strict';
+
+// ==========================================================================
+// REGISTRATION MODAL
+// ==========================================================================
+
+class EventRegistration {
+    constructor(config = CONFIG.registration) {
+        this.config = config;
+        this.queue = new StorageQueue(config.storageKey);
+        this.adapter = createSubmissionAdapter(config, this.queue, EventRegistration.formatEmail);
+        this.modal = null;
+        this.form = null;
+        this.lastTrigger = null;
+        this.init();
+    }
+
+    static formatEmail(registration) {
+        return {
+            subject: `Event registration: ${registration.eventTitle}`,
+            body: [
+                `Event: ${registration.eventTitle}`,
+                `Name: ${registration.name}`,
+                `Email: ${registration.email}`,
+                `Team: ${registration.teamName || '-'}`,
+                `Players: ${registration.players}`,
+                `Membership: ${registration.tier}`,
+            ].join('\n'),
+        };
+    }
+
+    getMessages() {
+        return {
+            sent: 'Thanks! Your registration has been received. We will be in touch with the details.',
+            queued: 'Your registration is saved on this device. We will send it as soon as we can reach our server.',
+            saved: 'Your registration has been saved on this device.',
+            mailto: 'Your email app should now open with your registration. Please press send to complete it.',
+            failed: `Sorry, your registration could not be sent or saved on this device. Please try again, or email us at ${this.config.email}.`,
+        };
+    }
+
+    init() {
+        this.createModal();
+
+        // Delegated so calendar entries rendered later get the action too
+        document.addEventListener('click', (e) => {
+            const trigger = e.target.closest('[data-register-event]');
+            if (!trigger) return;
+
+            e.preventDefault();
+            this.open(trigger);
+        });
+
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape' && this.modal.classList.contains('is-open')) {
+                this.close();
+            }
+        });
+
+        this.adapter.flush();
+    }
+
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'registration-modal';
+        modal.id = 'registrationModal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'registrationTitle');
+        modal.hidden = true;
+        modal.innerHTML = `
+            <div class="registration-modal__overlay" data-registration-close></div>
+            <div class="registration-modal__content">
+                <button type="button" class="registration-modal__close" aria-label="Close registration" data-registration-close>
+                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true">
+                        <path d="M18 6L6 18M6 6l12 12"/>
+                    </svg>
+                </button>
+                <span class="registration-modal__badge">Event Registration</span>
+                <h2 class="registration-modal__title" id="registrationTitle"></h2>
+
+                <form class="registration-modal__form" data-validate novalidate>
+                    <input type="hidden" name="eventId">
+                    <div class="form-group">
+                        <label for="registrationName">Full Name <span class="required">*</span></label>
+                        <input type="text" id="registrationName" name="name" required autocomplete="name">
+                    </div>
+                    <div class="form-group">
+                        <label for="registrationEmail">Email Address <span class="required">*</span></label>
+                        <input type="email" id="registrationEmail" name="email" required autocomplete="email">
+                    </div>
+                    <div class="form-row">
+                        <div class="form-group">
+                            <label for="registrationTeam">Team Name</label>
+                            <input type="text" id="registrationTeam" name="teamName">
+                        </div>
+                        <div class="form-group">
+                            <label for="registrationPlayers">Number of Players <span class="required">*</span></label>
+                            <input type="number" id="registrationPlayers" name="players" required min="1" max="30" value="1" inputmode="numeric">
+                        </div>
+                    </div>
+                    <div class="form-group">
+                        <label for="registrationTier">Membership <span class="required">*</span></label>
+                        <select id="registrationTier" name="tier" required>
+                            <option value="">Select your membership</option>
+                            <option value="adult">Adult Member</option>
+                            <option value="student">Student Member</option>
+                            <option value="associate">Associate Member</option>
+                            <option value="non-member">Not a member yet</option>
+                        </select>
+                    </div>
+                    <p class="registration-modal__error" role="alert" hidden></p>
+                    <button type="submit" class="btn btn--primary btn--full">Register</button>
+                </form>
+
+                <div class="registration-modal__result" aria-live="polite" hidden>
+                    <p class="registration-modal__message"></p>
+                    <button type="button" class="btn btn--outline btn--sm" data-registration-close>Close</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(modal);
+        this.modal = modal;
+        this.form = modal.querySelector('form');
+        this.result = modal.querySelector('.registration-modal__result');
+        this.error = modal.querySelector('.registration-modal__error');
+
+        // Validation is bound first so its submit handler can stop invalid submissions
+        this.validation = Components.mount('validate', this.form);
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+        modal.querySelectorAll('[data-registration-close]').forEach(el => {
+            el.addEventListener('click', () => this.close());
+        });
+    }
+
+    open(trigger) {
+        this.lastTrigger = trigger;
+
+        this.form.reset();
+        this.form.elements.eventId.value = trigger.dataset.registerEvent;
+        this.form.hidden = false;
+        this.result.hidden = true;
+        this.error.hidden = true;
+        this.validation.reset(this.form);
+
+        const title = trigger.dataset.registerTitle || 'Register';
+        this.modal.querySelector('.registration-modal__title').textContent = title;
+        this.eventTitle = title;
+
+        this.modal.hidden = false;
+        // Next frame so the opacity transition runs
+        requestAnimationFrame(() => this.modal.classList.add('is-open'));
+        document.body.style.overflow = 'hidden';
+        this.form.elements.name.focus();
+    }
+
+    close() {
+        this.modal.classList.remove('is-open');
+        this.modal.hidden = true;
+        document.body.style.overflow = '';
+        this.lastTrigger?.focus();
+    }
+
+    getPayload() {
+        const data = new FormData(this.form);
+        return {
+            id: createSubmissionId(),
+            eventId: data.get('eventId'),
+            eventTitle: this.eventTitle,
+            name: String(data.get('name')).trim(),
+            email: String(data.get('email')).trim(),
+            teamName: String(data.get('teamName')).trim(),
+            players: Number(data.get('players')),
+            tier: data.get('tier'),
+            submittedAt: new Date().toISOString(),
+        };
+    }
+
+    async handleSubmit(e) {
+        e.preventDefault();
+
+        const submitBtn = this.form.querySelector('[type="submit"]');
+        submitBtn.disabled = true;
+        this.error.hidden = true;
+
+        try {
+            const { status } = await this.adapter.submit(this.getPayload());
+            if (status === 'failed') {
+                this.error.textContent = this.getMessages().failed;
+                this.error.hidden = false;
+                return;
+            }
+
+            this.modal.querySelector('.registration-modal__message').textContent = this.getMessages()[status];
+            this.form.hidden = true;
+            this.result.hidden = false;
+            this.result.querySelector('button').focus();
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+}
+
+// Auto-initialize when the page has registration triggers. The modal and
+// its delegated listeners outlive client-side navigation, so it is only
+// created once, on the first page that needs it.
+function initRegistration() {
+    if (!window.__BASCI_REGISTRATION__ && document.querySelector('[data-register-event], #calendar')) {
+        window.__BASCI_REGISTRATION__ = new EventRegistration();
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initRegistration);
+} else {
+    initRegistration();
+}
+document.addEventListener('basci:pageload', initRegistration);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { EventRegistration };
+}
@@ -4,22 +4,51 @@
  * ==========================================================================
  * 
  * A lightweight, touch-friendly slider/carousel component.
- * Supports autoplay, dots, arrows, and responsive breakpoints.
+ * Supports autoplay, dots, arrows, responsive breakpoints, seamless
+ * infinite looping, a fade mode, variable-width slides and pointer dragging,
+ * plus lazy-loaded images and a virtual mode for very long slide sets.
  */
 
 'use strict';
 
+let sliderCount = 0;
+
+// Slider instance per element, for asNavFor and Slider.get()
+const sliderInstances = new WeakMap();
+
+// Pointer dragging: distances in px, times in ms, velocity in px/ms
+const DRAG_SETTINGS = {
+    lockDistance: 6,
+    swipeDistance: 50,
+    flickVelocity: 0.3,
+    velocityWindow: 100,
+    momentum: 150,
+    resistance: 0.35
+};
+
 class Slider {
+    /**
+     * `new Slider(element, options)` mounts right away; the component
+     * registry creates it without arguments and calls mount() itself.
+     */
     constructor(element, options = {}) {
+        this.userOptions = options;
+        this.controller = new AbortController();
+
+        if (element) this.mount(element);
+    }
+
+    mount(element) {
         this.slider = typeof element === 'string' ? document.querySelector(element) : element;
-        
+
         if (!this.slider) {
             console.warn('Slider: Element not found');
-            return;
+            return this;
         }
 
-        // Default options
-        this.options = {
+        // Default options, then data-slider JSON, then constructor options.
+        // `options` is these with the matching `responsive` settings on top.
+        this.baseOptions = {
             slidesToShow: 1,
             slidesToScroll: 1,
             autoplay: false,
@@ -27,74 +56,496 @@ class Slider {
             dots: true,
             arrows: true,
             infinite: true,
+            fade: false,
+            variableWidth: false,
             speed: 300,
+            easing: 'ease',
             pauseOnHover: true,
             touchEnabled: true,
             gap: 20,
             responsive: [],
-            ...options
+            label: 'Carousel',
+            asNavFor: null,
+            focusOnSelect: false,
+            lazyLoad: false,
+            virtual: false,
+            ...(this.slider.dataset.slider ? JSON.parse(this.slider.dataset.slider) : {}),
+            ...this.userOptions
         };
+        this.breakpoint = this.getBreakpoint();
+        this.options = this.getOptionsFor(this.breakpoint);
 
-        // State
+        // State: 'idle', 'dragging', or 'animating' from goToSlide() until
+        // its transition ends
+        this.state = 'idle';
         this.currentSlide = 0;
-        this.isAnimating = false;
+        // The slide last asked for; differs from currentSlide when a slider
+        // that doesn't loop can only scroll as far as its last full view
+        this.selectedSlide = 0;
+        this.position = 0;
+        // Virtual sliders: the position the slides in the track were picked for
+        this.renderedPosition = 0;
+        this.windowSlides = null;
+        this.pendingChange = false;
+        this.isSyncing = false;
+        this.transitionTimer = null;
         this.autoplayTimer = null;
-        this.touchStartX = 0;
-        this.touchEndX = 0;
+        // Why autoplay is held: 'hover', 'focus', 'drag' or 'user' (the pause
+        // button, or reduced motion until the visitor presses play)
+        this.pausedBy = new Set(prefersReducedMotion() ? ['user'] : []);
+        this.drag = null;
+        this.suppressClick = false;
 
         // Elements
         this.track = this.slider.querySelector('.slider__track');
-        this.slides = [...this.slider.querySelectorAll('.slider__slide')];
+        this.slides = this.getSlides();
         this.totalSlides = this.slides.length;
+        this.clones = [];
+        this.cloneCount = 0;
+        this.trackSlides = this.slides;
 
+        sliderInstances.set(this.slider, this);
         this.init();
+        return this;
+    }
+
+    /**
+     * The slider mounted on `element`, however it was created.
+     */
+    static get(element) {
+        return sliderInstances.get(element) ?? null;
+    }
+
+    getSlides() {
+        return this.track ? [...this.track.children].filter(el => el.classList.contains('slider__slide')) : [];
+    }
+
+    get isAnimating() {
+        return this.state === 'animating';
     }
 
     init() {
         if (this.totalSlides === 0) return;
 
+        this.isReady = true;
+        this.setupAccessibility();
+        this.bindEvents();
+        this.build();
+        this.emit('init');
+    }
+
+    /**
+     * Sets up everything that depends on the options: mode classes,
+     * controls, clones, sizes and autoplay. Runs again whenever the options
+     * or the slides change.
+     */
+    build() {
+        this.slider.classList.toggle('slider--fade', this.options.fade);
+        this.slider.classList.toggle('slider--variable', this.options.variableWidth && !this.options.fade);
+        this.slider.classList.toggle('slider--draggable', this.options.touchEnabled);
+
+        // Leftovers from the other mode
+        this.track.style.transform = '';
+        this.slides.forEach(slide => { slide.style.transition = ''; });
+
+        this.removeControls();
         this.setupSlider();
         this.createControls();
-        this.bindEvents();
-        this.updateResponsive();
+        this.updateAutoplay();
+    }
 
-        if (this.options.autoplay) {
-            this.startAutoplay();
+    /**
+     * Listens for one of the slider's events: init, beforeChange
+     * ({ currentSlide, nextSlide }), slideChange, afterChange
+     * ({ currentSlide }), breakpoint ({ breakpoint }) or destroy. They are
+     * also dispatched on the element. Returns a function that stops listening.
+     */
+    on(type, handler) {
+        const listener = (e) => handler(e.detail, e);
+        this.slider.addEventListener(type, listener);
+        return () => this.slider.removeEventListener(type, listener);
+    }
+
+    emit(type, detail = {}) {
+        this.slider.dispatchEvent(new CustomEvent(type, { detail: { slider: this, ...detail } }));
+    }
+
+    /**
+     * Changes options after mounting, as `setOption('autoplay', false)` or
+     * `setOption({ slidesToShow: 2, dots: false })`. The values apply at
+     * every breakpoint; pass `responsive` to change those.
+     */
+    setOption(name, value) {
+        Object.assign(this.baseOptions, typeof name === 'object' ? name : { [name]: value });
+        this.breakpoint = this.getBreakpoint();
+        this.options = this.getOptionsFor(this.breakpoint);
+
+        if (this.isReady) this.build();
+        return this;
+    }
+
+    /**
+     * Adds a slide at `index` (the end by default): a `.slider__slide`
+     * element, or an element or HTML string to wrap in one.
+     */
+    addSlide(content, index = this.totalSlides) {
+        this.restoreSlides();
+
+        let slide = content;
+        if (typeof content === 'string' || !content.classList.contains('slider__slide')) {
+            slide = document.createElement('div');
+            slide.className = 'slider__slide';
+            if (typeof content === 'string') {
+                slide.innerHTML = content;
+            } else {
+                slide.appendChild(content);
+            }
         }
+
+        const before = this.slides[index];
+        if (before) {
+            before.before(slide);
+            // Keep the same slide in view
+            if (index <= this.currentSlide) this.currentSlide += 1;
+        } else if (this.totalSlides) {
+            this.slides[this.totalSlides - 1].after(slide);
+        } else {
+            this.track.appendChild(slide);
+        }
+
+        this.reload();
+        return slide;
+    }
+
+    removeSlide(index) {
+        const slide = this.slides[index];
+        if (!slide) return;
+
+        slide.remove();
+        if (index < this.currentSlide) this.currentSlide -= 1;
+        this.reload();
+    }
+
+    /**
+     * Picks up slides added to or removed from the track.
+     */
+    reload() {
+        this.removeClones();
+        this.restoreSlides();
+        this.slides = this.trackSlides = this.getSlides();
+        this.totalSlides = this.slides.length;
+        this.currentSlide = Math.min(this.currentSlide, Math.max(0, this.totalSlides - 1));
+        this.selectedSlide = this.currentSlide;
+
+        if (!this.isReady) {
+            this.init();
+        } else if (this.totalSlides === 0) {
+            this.teardown();
+        } else {
+            this.labelSlides();
+            this.build();
+        }
+    }
+
+    /**
+     * The narrowest `responsive` breakpoint the window fits, or null.
+     */
+    getBreakpoint() {
+        const width = window.innerWidth;
+        const matches = this.baseOptions.responsive
+            .map(bp => bp.breakpoint)
+            .filter(breakpoint => width <= breakpoint);
+        return matches.length ? Math.min(...matches) : null;
+    }
+
+    /**
+     * Base options with the settings of every breakpoint down to
+     * `breakpoint` on top, widest first so narrower ones win.
+     */
+    getOptionsFor(breakpoint) {
+        return [...this.baseOptions.responsive]
+            .sort((a, b) => b.breakpoint - a.breakpoint)
+            .filter(bp => breakpoint !== null && bp.breakpoint >= breakpoint)
+            .reduce((options, bp) => ({ ...options, ...bp.settings }), { ...this.baseOptions });
+    }
+
+    updateResponsive() {
+        const breakpoint = this.getBreakpoint();
+        if (breakpoint !== this.breakpoint) {
+            this.breakpoint = breakpoint;
+            this.options = this.getOptionsFor(breakpoint);
+            this.build();
+            this.emit('breakpoint', { breakpoint });
+            return;
+        }
+
+        // Same options, new sizes; with variable widths the number of dots can change
+        this.setupSlider();
+        if (this.dotsContainer) {
+            this.dotsContainer.remove();
+            this.createDots();
+        }
+    }
+
+    /**
+     * WAI-ARIA carousel: a labelled region of "n of total" slide groups,
+     * and a status line that announces the slide unless autoplay is running.
+     */
+    setupAccessibility() {
+        this.id = this.slider.id || `slider-${++sliderCount}`;
+        this.generatedIds = [];
+
+        this.slider.setAttribute('role', 'region');
+        this.slider.setAttribute('aria-roledescription', 'carousel');
+        if (!this.slider.hasAttribute('aria-label') && !this.slider.hasAttribute('aria-labelledby')) {
+            this.slider.setAttribute('aria-label', this.options.label);
+            this.addedLabel = true;
+        }
+
+        this.labelSlides();
+
+        this.status = document.createElement('div');
+        this.status.className = 'slider__status sr-only';
+        this.status.setAttribute('aria-live', 'polite');
+        this.status.setAttribute('aria-atomic', 'true');
+        this.slider.appendChild(this.status);
+    }
+
+    labelSlides() {
+        this.slides.forEach((slide, index) => {
+            if (!slide.id) {
+                slide.id = `${this.id}-slide-${index + 1}`;
+                this.generatedIds.push(slide);
+            }
+            slide.dataset.sliderIndex = index;
+            slide.setAttribute('role', 'group');
+            slide.setAttribute('aria-roledescription', 'slide');
+            slide.setAttribute('aria-label', `${index + 1} of ${this.totalSlides}`);
+        });
     }
 
     setupSlider() {
-        // Set initial positions
+        if (!this.isVirtual()) this.restoreSlides();
+        this.setupClones();
         this.updateSliderDimensions();
-        this.goToSlide(0, false);
+        this.goToSlide(this.currentSlide, false);
+    }
+
+    /**
+     * Infinite sliders get copies of the last slides before the first one
+     * and of the first slides after the last, so moving past either end
+     * slides onto the copies and then jumps back to the real slide unseen.
+     */
+    isLooping() {
+        return this.options.infinite && !this.options.fade && !this.isVirtual()
+            && this.totalSlides > this.getCurrentSlidesToShow();
+    }
+
+    /**
+     * Whether next() on the last slide goes on to the first: through the
+     * clones, by fading, or round the virtual window. Too few slides to
+     * scroll never wrap.
+     */
+    wraps() {
+        return this.options.infinite && (this.options.fade || this.isLooping() || this.isVirtual());
+    }
+
+    /**
+     * With `virtual`, only the slides within a view of the current one are
+     * in the track. It needs fixed widths, and enough slides that the
+     * window never holds the same slide twice; otherwise all are rendered.
+     */
+    isVirtual() {
+        const { virtual, variableWidth, fade } = this.options;
+        return virtual && !variableWidth && !fade && this.totalSlides > this.getCurrentSlidesToShow() * 5;
+    }
+
+    /**
+     * Puts the slides from one view before the old and new positions to one
+     * view after them in the track, in order, and takes the rest out. A
+     * margin on the first keeps every slide at its usual offset.
+     */
+    updateWindow(animate) {
+        const total = this.totalSlides;
+        const slidesToShow = this.getCurrentSlidesToShow();
+        const previous = animate ? this.renderedPosition : this.position;
+        let from = Math.min(previous, this.position) - slidesToShow;
+        let to = Math.max(previous, this.position) + slidesToShow * 2;
+
+        if (!this.wraps()) {
+            from = Math.max(from, 0);
+            to = Math.min(to, total);
+        }
+
+        const windowSlides = [];
+        for (let i = from; i < to; i++) {
+            windowSlides.push(this.slides[((i % total) + total) % total]);
+        }
+
+        const inWindow = new Set(windowSlides);
+        this.slides.forEach(slide => {
+            if (!inWindow.has(slide)) slide.remove();
+        });
+        windowSlides.forEach((slide, i) => {
+            const current = this.track.children[i];
+            if (current !== slide) this.track.insertBefore(slide, current ?? null);
+            slide.style.marginLeft = i === 0 ? `${from * (this.slideWidth + this.options.gap)}px` : '';
+        });
+
+        this.windowSlides = windowSlides;
+        this.renderedPosition = this.position;
+    }
+
+    /**
+     * Puts back every slide a virtual slider took out of the track.
+     */
+    restoreSlides() {
+        if (!this.windowSlides) return;
+
+        this.windowSlides = null;
+        this.slides.forEach(slide => {
+            slide.style.marginLeft = '';
+            this.track.appendChild(slide);
+        });
+    }
+
+    setupClones() {
+        let count = 0;
+        if (this.isLooping()) {
+            count = this.options.variableWidth
+                ? this.totalSlides
+                : this.getCurrentSlidesToShow() + this.options.slidesToScroll;
+        }
+        if (count === this.cloneCount) return;
+
+        this.removeClones();
+        const total = this.totalSlides;
+        for (let i = 0; i < count; i++) {
+            const head = this.createClone(this.slides[i % total]);
+            const tail = this.createClone(this.slides[total - 1 - (i % total)]);
+            this.track.appendChild(head);
+            this.track.insertBefore(tail, this.track.firstElementChild);
+            this.clones.push(head, tail);
+        }
+
+        this.cloneCount = count;
+        this.trackSlides = [...this.track.children].filter(el => el.classList.contains('slider__slide'));
+    }
+
+    removeClones() {
+        this.clones.forEach(clone => clone.remove());
+        this.clones = [];
+        this.cloneCount = 0;
+        this.trackSlides = this.slides;
+    }
+
+    createClone(slide) {
+        const clone = slide.cloneNode(true);
+        clone.classList.add('slider__slide--clone');
+        clone.setAttribute('aria-hidden', 'true');
+        clone.setAttribute('inert', '');
+
+        // No duplicate ids, and no reveal animations: those were set up on
+        // the originals before the copies existed
+        [clone, ...clone.querySelectorAll('[id], [data-animate]')].forEach(el => {
+            el.removeAttribute('id');
+            el.removeAttribute('data-animate');
+        });
+        return clone;
     }
 
     updateSliderDimensions() {
+        // Variable-width slides keep the widths and gap from the stylesheet
+        if (this.options.variableWidth && !this.options.fade) {
+            this.track.style.gap = '';
+            this.trackSlides.forEach(slide => { slide.style.width = ''; });
+            return;
+        }
+
         const slidesToShow = this.getCurrentSlidesToShow();
         const gap = this.options.gap;
-        const slideWidth = (this.slider.offsetWidth - (gap * (slidesToShow - 1))) / slidesToShow;
+        this.slideWidth = (this.slider.offsetWidth - (gap * (slidesToShow - 1))) / slidesToShow;
 
-        this.slides.forEach((slide, index) => {
-            slide.style.width = `${slideWidth}px`;
-            slide.style.marginRight = index < this.totalSlides - 1 ? `${gap}px` : '0';
+        this.track.style.gap = this.options.fade ? '' : `${gap}px`;
+        this.trackSlides.forEach(slide => {
+            slide.style.width = `${this.slideWidth}px`;
         });
+    }
+
+    /**
+     * Distance from the start of the track to the slide at `position`
+     * (an index into trackSlides, so clones count).
+     */
+    getSlideOffset(position) {
+        let offset;
+        if (this.options.variableWidth) {
+            const slide = this.trackSlides[position];
+            offset = slide ? slide.offsetLeft - this.trackSlides[0].offsetLeft : 0;
+        } else {
+            offset = position * (this.slideWidth + this.options.gap);
+        }
 
-        const totalWidth = (slideWidth + gap) * this.totalSlides - gap;
-        this.track.style.width = `${totalWidth}px`;
+        // Without clones there is nothing to show past the last slide
+        return this.isLooping() ? offset : Math.min(offset, this.getMaxOffset());
+    }
+
+    getMaxOffset() {
+        const first = this.trackSlides[0];
+        const last = this.trackSlides[this.trackSlides.length - 1];
+        const trackWidth = last.offsetLeft + last.offsetWidth - first.offsetLeft;
+        return this.options.variableWidth ? Math.max(0, trackWidth - this.slider.offsetWidth) : Infinity;
     }
 
     createControls() {
+        this.updateArrows();
+
         // Create arrows
         if (this.options.arrows) {
             this.createArrows();
         }
 
+        // Pause button and dots share a row under the slides
+        if (this.options.dots || this.options.autoplay) {
+            this.controls = document.createElement('div');
+            this.controls.className = 'slider__controls';
+            this.slider.appendChild(this.controls);
+        }
+
+        if (this.options.autoplay) {
+            this.createToggle();
+        }
+
         // Create dots
         if (this.options.dots) {
             this.createDots();
         }
     }
 
+    removeControls() {
+        this.prevBtn?.remove();
+        this.nextBtn?.remove();
+        this.controls?.remove();
+        this.prevBtn = this.nextBtn = this.controls = this.toggleBtn = null;
+        this.dotsContainer = this.dots = null;
+    }
+
+    createToggle() {
+        const toggleBtn = document.createElement('button');
+        toggleBtn.type = 'button';
+        toggleBtn.className = 'slider__toggle';
+        toggleBtn.innerHTML = `
+            <svg class="slider__toggle-pause" viewBox="0 0 24 24" width="18" height="18" aria-hidden="true">
+                <path fill="currentColor" d="M6 5h4v14H6zM14 5h4v14h-4z"/>
+            </svg>
+            <svg class="slider__toggle-play" viewBox="0 0 24 24" width="18" height="18" aria-hidden="true">
+                <path fill="currentColor" d="M8 5v14l11-7z"/>
+            </svg>
+        `;
+
+        this.controls.appendChild(toggleBtn);
+        this.toggleBtn = toggleBtn;
+    }
+
     createArrows() {
         const prevBtn = document.createElement('button');
         prevBtn.className = 'slider__arrow slider__arrow--prev';
@@ -119,191 +570,507 @@ class Slider {
 
         this.prevBtn = prevBtn;
         this.nextBtn = nextBtn;
+        this.updateArrows();
     }
 
     createDots() {
         const dotsContainer = document.createElement('div');
         dotsContainer.className = 'slider__dots';
+        dotsContainer.setAttribute('role', 'tablist');
+        dotsContainer.setAttribute('aria-label', 'Choose slide');
 
-        const slidesToShow = this.getCurrentSlidesToShow();
-        const numDots = Math.ceil(this.totalSlides / slidesToShow);
+        // One dot per stop: every slide can lead when looping, otherwise up to the last full view
+        const stops = this.wraps() ? this.totalSlides : this.getMaxSlide() + 1;
+        const numDots = Math.ceil(stops / this.options.slidesToScroll);
 
         for (let i = 0; i < numDots; i++) {
+            const slide = this.slides[Math.min(i * this.options.slidesToScroll, this.totalSlides - 1)];
             const dot = document.createElement('button');
+            dot.type = 'button';
             dot.className = 'slider__dot';
-            dot.setAttribute('aria-label', `Go to slide ${i + 1}`);
+            dot.setAttribute('role', 'tab');
+            dot.setAttribute('aria-label', `Slide ${this.slides.indexOf(slide) + 1}`);
+            dot.setAttribute('aria-controls', slide.id);
             dot.dataset.index = i;
             dotsContainer.appendChild(dot);
         }
 
-        this.slider.appendChild(dotsContainer);
+        this.controls.appendChild(dotsContainer);
         this.dotsContainer = dotsContainer;
         this.dots = [...dotsContainer.querySelectorAll('.slider__dot')];
         this.updateDots();
     }
 
     bindEvents() {
-        // Arrow clicks
-        if (this.prevBtn) {
-            this.prevBtn.addEventListener('click', () => this.prev());
-        }
-        if (this.nextBtn) {
-            this.nextBtn.addEventListener('click', () => this.next());
-        }
+        const { signal } = this.controller;
 
-        // Dot clicks
-        if (this.dots) {
-            this.dots.forEach(dot => {
-                dot.addEventListener('click', () => {
-                    const index = parseInt(dot.dataset.index);
-                    this.goToSlide(index * this.options.slidesToScroll);
-                });
+        // Controls are rebuilt whenever the options change, so their clicks
+        // are delegated; with focusOnSelect, clicking a slide selects it
+        this.slider.addEventListener('click', (e) => {
+            const target = e.target.closest('.slider__arrow, .slider__dot, .slider__toggle, .slider__slide');
+            if (!target || !this.slider.contains(target)) return;
+
+            if (target === this.prevBtn) {
+                this.prev();
+            } else if (target === this.nextBtn) {
+                this.next();
+            } else if (target === this.toggleBtn) {
+                this.toggleAutoplay();
+            } else if (target.classList.contains('slider__dot')) {
+                this.goToSlide(parseInt(target.dataset.index) * this.options.slidesToScroll);
+            } else if (this.options.focusOnSelect && target.parentNode === this.track) {
+                this.goToSlide(Number(target.dataset.sliderIndex));
+            }
+        }, { signal });
+
+        // End of a slide or fade transition; transitions inside the slides bubble up too
+        this.track.addEventListener('transitionend', (e) => {
+            if (e.target === this.track || e.target.parentNode === this.track) {
+                this.handleTransitionEnd();
+            }
+        }, { signal });
+
+        this.slider.addEventListener('keydown', (e) => this.handleKeydown(e), { signal });
+
+        // Dragging with touch, pen or mouse (while touchEnabled)
+        this.track.addEventListener('pointerdown', (e) => this.handlePointerDown(e), { signal });
+        this.track.addEventListener('pointermove', (e) => this.handlePointerMove(e), { signal });
+        this.track.addEventListener('pointerup', (e) => this.handlePointerUp(e), { signal });
+        this.track.addEventListener('pointercancel', (e) => this.handlePointerUp(e), { signal });
+        // Links and images would otherwise start a native drag-and-drop
+        this.track.addEventListener('dragstart', (e) => {
+            if (this.options.touchEnabled) e.preventDefault();
+        }, { signal });
+        this.slider.addEventListener('click', (e) => {
+            if (!this.suppressClick) return;
+            e.preventDefault();
+            e.stopPropagation();
+        }, { capture: true, signal });
+
+        // Autoplay holds on hover and while anything inside has focus (WCAG 2.2.2)
+        this.slider.addEventListener('mouseenter', () => {
+            if (this.options.pauseOnHover) this.pauseAutoplay('hover');
+        }, { signal });
+        this.slider.addEventListener('mouseleave', () => this.resumeAutoplay('hover'), { signal });
+        this.slider.addEventListener('focusin', () => this.pauseAutoplay('focus'), { signal });
+        this.slider.addEventListener('focusout', (e) => {
+            if (!this.slider.contains(e.relatedTarget)) this.resumeAutoplay('focus');
+        }, { signal });
+
+        // Sizes follow the slider's own width, which also catches it being
+        // shown after starting out hidden; older browsers get window resizes
+        if ('ResizeObserver' in window) {
+            let width = this.slider.offsetWidth;
+            const resizeObserver = new ResizeObserver(() => {
+                if (this.slider.offsetWidth === width) return;
+                width = this.slider.offsetWidth;
+                this.updateResponsive();
             });
+            resizeObserver.observe(this.slider);
+            signal.addEventListener('abort', () => resizeObserver.disconnect());
+        } else {
+            window.addEventListener('resize', this.debounce(() => this.updateResponsive(), 200), { signal });
         }
+    }
 
-        // Touch events
-        if (this.options.touchEnabled) {
-            this.slider.addEventListener('touchstart', (e) => this.handleTouchStart(e), { passive: true });
-            this.slider.addEventListener('touchmove', (e) => this.handleTouchMove(e), { passive: true });
-            this.slider.addEventListener('touchend', () => this.handleTouchEnd());
+    /**
+     * Left/right move a slide (or a dot, keeping focus on the dots); Home
+     * and End on the dots go to the first and last.
+     */
+    handleKeydown(e) {
+        const onDot = e.target.classList.contains('slider__dot');
+        const step = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+        if (!step && !(onDot && (e.key === 'Home' || e.key === 'End'))) return;
+        if (e.target.closest('input, textarea, select')) return;
+
+        e.preventDefault();
+        const scroll = this.options.slidesToScroll;
+
+        if (e.key === 'Home') {
+            this.goToSlide(0);
+        } else if (e.key === 'End') {
+            this.goToSlide((this.dots.length - 1) * scroll);
+        } else {
+            this.goToSlide(this.currentSlide + step * scroll);
         }
 
-        // Pause on hover
-        if (this.options.pauseOnHover && this.options.autoplay) {
-            this.slider.addEventListener('mouseenter', () => this.stopAutoplay());
-            this.slider.addEventListener('mouseleave', () => this.startAutoplay());
+        if (onDot) {
+            this.dots.find(dot => dot.tabIndex === 0)?.focus();
         }
-
-        // Resize
-        window.addEventListener('resize', this.debounce(() => {
-            this.updateResponsive();
-            this.updateSliderDimensions();
-            this.goToSlide(this.currentSlide, false);
-        }, 200));
     }
 
-    handleTouchStart(e) {
-        this.touchStartX = e.touches[0].clientX;
-    }
+    // Pointer dragging. The track follows the pointer once it has moved
+    // mostly sideways; mostly-vertical moves are left to page scrolling.
+
+    handlePointerDown(e) {
+        if (!this.options.touchEnabled || !e.isPrimary || e.button !== 0 || this.state === 'dragging') return;
+        if (this.state === 'animating') this.finishTransition();
 
-    handleTouchMove(e) {
-        this.touchEndX = e.touches[0].clientX;
+        this.drag = {
+            id: e.pointerId,
+            startX: e.clientX,
+            startY: e.clientY,
+            x: e.clientX,
+            startOffset: this.getSlideOffset(this.position),
+            samples: [{ x: e.clientX, time: e.timeStamp }]
+        };
     }
 
-    handleTouchEnd() {
-        const diff = this.touchStartX - this.touchEndX;
-        const threshold = 50;
+    handlePointerMove(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.id) return;
 
-        if (Math.abs(diff) > threshold) {
-            if (diff > 0) {
-                this.next();
-            } else {
-                this.prev();
+        const dx = e.clientX - drag.startX;
+        const dy = e.clientY - drag.startY;
+
+        if (this.state !== 'dragging') {
+            if (Math.abs(dx) < DRAG_SETTINGS.lockDistance && Math.abs(dy) < DRAG_SETTINGS.lockDistance) return;
+            if (Math.abs(dy) > Math.abs(dx)) {
+                this.drag = null;
+                return;
             }
+
+            // Captured only now so a plain click still reaches links in the slide
+            this.state = 'dragging';
+            this.track.setPointerCapture?.(e.pointerId);
+            this.slider.classList.add('is-dragging');
+            this.pauseAutoplay('drag');
         }
 
-        this.touchStartX = 0;
-        this.touchEndX = 0;
+        drag.x = e.clientX;
+        drag.samples = drag.samples.filter(sample => e.timeStamp - sample.time <= DRAG_SETTINGS.velocityWindow);
+        drag.samples.push({ x: e.clientX, time: e.timeStamp });
+
+        if (!this.options.fade) {
+            this.track.style.transition = 'none';
+            this.track.style.transform = `translateX(${-this.getDragOffset(drag.startOffset - dx)}px)`;
+        }
     }
 
-    prev() {
-        if (this.isAnimating) return;
+    handlePointerUp(e) {
+        const drag = this.drag;
+        if (!drag || e.pointerId !== drag.id) return;
 
-        const slidesToScroll = this.options.slidesToScroll;
-        let newIndex = this.currentSlide - slidesToScroll;
+        this.drag = null;
+        if (this.state !== 'dragging') return;
 
-        if (newIndex < 0) {
-            if (this.options.infinite) {
-                newIndex = this.getMaxSlide();
-            } else {
-                return;
-            }
+        this.state = 'idle';
+        this.slider.classList.remove('is-dragging');
+        this.resumeAutoplay('drag');
+
+        // The click that ends a drag shouldn't open a link in the slide
+        this.suppressClick = true;
+        setTimeout(() => { this.suppressClick = false; }, 0);
+
+        // The browser took over (e.g. started scrolling): put the track back
+        if (e.type === 'pointercancel') {
+            this.goToSlide(this.position - this.cloneCount);
+            return;
         }
 
-        this.goToSlide(newIndex);
+        const [oldest] = drag.samples;
+        const velocity = (drag.x - oldest.x) / Math.max(1, e.timeStamp - oldest.time);
+        this.settleDrag(drag, drag.x - drag.startX, velocity);
     }
 
-    next() {
-        if (this.isAnimating) return;
+    /**
+     * Moves to the slide nearest to where the drag plus its momentum would
+     * carry the track. A quick flick always moves at least one slide.
+     */
+    settleDrag(drag, dx, velocity) {
+        const flick = Math.abs(velocity) > DRAG_SETTINGS.flickVelocity ? Math.sign(velocity) : 0;
+
+        if (this.options.fade) {
+            const direction = Math.abs(dx) > DRAG_SETTINGS.swipeDistance ? Math.sign(dx) : flick;
+            if (direction < 0) this.next();
+            if (direction > 0) this.prev();
+            return;
+        }
 
-        const slidesToScroll = this.options.slidesToScroll;
-        let newIndex = this.currentSlide + slidesToScroll;
+        const target = drag.startOffset - dx - velocity * DRAG_SETTINGS.momentum;
+        const [first, last] = this.getDragPositions();
+        let position = this.position;
+        let distance = Infinity;
 
-        if (newIndex > this.getMaxSlide()) {
-            if (this.options.infinite) {
-                newIndex = 0;
-            } else {
-                return;
+        for (let i = first; i <= last; i++) {
+            const offsetDistance = Math.abs(this.getSlideOffset(i) - target);
+            if (offsetDistance < distance) {
+                distance = offsetDistance;
+                position = i;
             }
         }
 
-        this.goToSlide(newIndex);
+        if (position === this.position && flick) {
+            position = Math.min(Math.max(position - flick, first), last);
+        }
+
+        this.goToSlide(position - this.cloneCount);
+    }
+
+    /**
+     * First and last track positions a drag can settle on: the clones when
+     * looping, a view either way within a virtual window, otherwise the
+     * real slides up to the last full view.
+     */
+    getDragPositions() {
+        if (this.isVirtual()) {
+            const slidesToShow = this.getCurrentSlidesToShow();
+            const first = this.position - slidesToShow;
+            const last = this.position + slidesToShow;
+            return this.wraps() ? [first, last] : [Math.max(first, 0), Math.min(last, this.getMaxSlide())];
+        }
+        if (!this.isLooping()) return [0, this.getMaxSlide()];
+
+        const slidesToShow = this.options.variableWidth ? 1 : this.getCurrentSlidesToShow();
+        return [0, this.trackSlides.length - slidesToShow];
+    }
+
+    /**
+     * Track offset for a drag, stretched past the ends of a slider that
+     * doesn't loop (rubber-banding) and held at the clones of one that
+     * does, or at the edges of a virtual window.
+     */
+    getDragOffset(offset) {
+        const [first, last] = this.getDragPositions();
+        const min = this.getSlideOffset(first);
+        const max = this.getSlideOffset(last);
+        const stretches = !this.wraps();
+
+        if (offset < min) {
+            return stretches && first === 0 ? min - (min - offset) * DRAG_SETTINGS.resistance : min;
+        }
+        if (offset > max) {
+            return stretches && last === this.getMaxSlide() ? max + (offset - max) * DRAG_SETTINGS.resistance : max;
+        }
+        return offset;
+    }
+
+    prev() {
+        if (this.state !== 'idle') return;
+        if (!this.wraps() && this.currentSlide === 0) return;
+
+        this.goToSlide(this.currentSlide - this.options.slidesToScroll);
     }
 
+    next() {
+        if (this.state !== 'idle') return;
+        if (!this.wraps() && this.currentSlide >= this.getMaxSlide()) return;
+
+        this.goToSlide(this.currentSlide + this.options.slidesToScroll);
+    }
+
+    /**
+     * Shows slide `index`. Infinite sliders accept indexes just past either
+     * end (-1, totalSlides) and get there through the clones, or the virtual
+     * window; others clamp.
+     */
     goToSlide(index, animate = true) {
-        if (index < 0) index = 0;
-        if (index > this.getMaxSlide()) index = this.getMaxSlide();
+        const total = this.totalSlides;
+        if (this.state === 'animating') this.finishTransition();
 
-        this.isAnimating = animate;
-        this.currentSlide = index;
+        const previousSlide = this.selectedSlide;
+        let selectedSlide = ((index % total) + total) % total;
 
-        const slidesToShow = this.getCurrentSlidesToShow();
-        const gap = this.options.gap;
-        const slideWidth = (this.slider.offsetWidth - (gap * (slidesToShow - 1))) / slidesToShow;
-        const offset = index * (slideWidth + gap);
+        if (!this.wraps()) {
+            selectedSlide = Math.min(Math.max(index, 0), total - 1);
+            index = Math.min(selectedSlide, this.getMaxSlide());
+        }
+
+        const slidesToShow = this.options.variableWidth ? 1 : this.getCurrentSlidesToShow();
+        const inReach = this.isVirtual()
+            ? this.wraps() && index >= -slidesToShow && index < total + slidesToShow
+            : this.isLooping() && index >= -this.cloneCount && index + slidesToShow <= total + this.cloneCount;
+        const previousPosition = this.position;
+
+        const isChange = animate || selectedSlide !== previousSlide;
+        if (isChange) {
+            this.emit('beforeChange', { currentSlide: previousSlide, nextSlide: selectedSlide });
+        }
 
-        this.track.style.transition = animate ? `transform ${this.options.speed}ms ease` : 'none';
-        this.track.style.transform = `translateX(-${offset}px)`;
+        this.currentSlide = ((index % total) + total) % total;
+        this.selectedSlide = selectedSlide;
+        this.position = this.cloneCount + (inReach ? index : this.currentSlide);
+        this.pendingChange = isChange;
 
+        // A virtual slider has nothing to show between views far apart
+        if (this.isVirtual() && Math.abs(this.position - previousPosition) > slidesToShow * 2) {
+            animate = false;
+        }
+
+        this.render(animate);
         this.updateDots();
         this.updateArrows();
+        this.status.textContent = `Slide ${selectedSlide + 1} of ${total}`;
+
+        this.emit('slideChange', { currentSlide: this.currentSlide });
 
         if (animate) {
-            setTimeout(() => {
-                this.isAnimating = false;
-            }, this.options.speed);
+            this.state = 'animating';
+            // In case transitionend never comes (nothing moved, tab hidden)
+            this.transitionTimer = setTimeout(() => this.finishTransition(), this.options.speed + 50);
+        } else {
+            this.finishTransition();
         }
 
-        // Dispatch custom event
-        this.slider.dispatchEvent(new CustomEvent('slideChange', {
-            detail: { currentSlide: this.currentSlide }
-        }));
+        if (isChange) this.syncNav(selectedSlide);
     }
 
-    getMaxSlide() {
-        const slidesToShow = this.getCurrentSlidesToShow();
-        return Math.max(0, this.totalSlides - slidesToShow);
+    /**
+     * With `asNavFor` (a selector or element of another slider), moves
+     * that slider along with this one; set it on both to sync both ways.
+     */
+    syncNav(index) {
+        const { asNavFor } = this.options;
+        if (!asNavFor) return;
+
+        const element = typeof asNavFor === 'string' ? document.querySelector(asNavFor) : asNavFor;
+        const target = element && Slider.get(element);
+        if (!target?.isReady || target.isSyncing) return;
+
+        this.isSyncing = true;
+        target.goToSlide(index);
+        this.isSyncing = false;
     }
 
-    getCurrentSlidesToShow() {
-        let slidesToShow = this.options.slidesToShow;
+    render(animate) {
+        const { speed, easing } = this.options;
 
-        // Check responsive breakpoints
-        const width = window.innerWidth;
-        const breakpoints = [...this.options.responsive].sort((a, b) => b.breakpoint - a.breakpoint);
+        if (this.options.fade) {
+            this.slides.forEach(slide => {
+                slide.style.transition = animate ? `opacity ${speed}ms ${easing}, visibility ${speed}ms` : 'none';
+            });
+            this.updateVisibleSlides();
+            return;
+        }
+
+        if (this.isVirtual()) this.updateWindow(animate);
+        this.track.style.transition = animate ? `transform ${speed}ms ${easing}` : 'none';
+        this.track.style.transform = `translateX(-${this.getSlideOffset(this.position)}px)`;
+        this.updateVisibleSlides();
 
-        for (const bp of breakpoints) {
-            if (width <= bp.breakpoint) {
-                slidesToShow = bp.settings.slidesToShow || slidesToShow;
+        if (!animate) {
+            // Commit the jump before the next animated move sets a transition again
+            void this.track.offsetWidth;
+        }
+    }
+
+    /**
+     * `is-active` on the slides in view; the rest are inert so keyboard
+     * and screen reader users can't land on something offscreen.
+     */
+    updateVisibleSlides() {
+        const offset = this.getSlideOffset(this.position);
+        const total = this.totalSlides;
+        const visibleSlides = [];
+
+        // By track position; a virtual slider's run past both ends
+        const inView = new Set();
+        for (let i = this.position; i < this.position + this.getCurrentSlidesToShow(); i++) {
+            inView.add(this.isVirtual() ? this.slides[((i % total) + total) % total] : this.trackSlides[i]);
+        }
+
+        this.trackSlides.forEach((slide, index) => {
+            let isVisible;
+            if (this.options.fade) {
+                isVisible = index === this.currentSlide;
+            } else if (this.options.variableWidth) {
+                const start = this.getSlideOffset(index);
+                isVisible = start >= offset - 1 && start + slide.offsetWidth <= offset + this.slider.offsetWidth + 1;
+            } else {
+                isVisible = inView.has(slide);
             }
+
+            if (isVisible) visibleSlides.push(slide);
+            slide.classList.toggle('is-active', isVisible);
+            slide.classList.toggle('is-current', slide === this.slides[this.selectedSlide]);
+            slide.toggleAttribute('inert', !isVisible || slide.classList.contains('slider__slide--clone'));
+        });
+
+        if (this.options.lazyLoad) this.loadNearbySlides(visibleSlides);
+    }
+
+    /**
+     * With `lazyLoad`, swaps in the `img[data-src]` images (as LazyLoad
+     * does) of the slides in view and `slidesToScroll` more on either side,
+     * clones included.
+     */
+    loadNearbySlides(visibleSlides) {
+        const total = this.totalSlides;
+        const reach = this.options.slidesToScroll;
+        const indexes = new Set();
+
+        visibleSlides.forEach(slide => {
+            const index = Number(slide.dataset.sliderIndex);
+            for (let i = index - reach; i <= index + reach; i++) {
+                if (this.wraps()) {
+                    indexes.add(((i % total) + total) % total);
+                } else if (i >= 0 && i < total) {
+                    indexes.add(i);
+                }
+            }
+        });
+
+        [...this.slides, ...this.clones]
+            .filter(slide => indexes.has(Number(slide.dataset.sliderIndex)))
+            .forEach(slide => {
+                slide.querySelectorAll('img[data-src]').forEach(img => LazyLoad.loadImage(img));
+            });
+    }
+
+    handleTransitionEnd() {
+        if (this.state === 'animating') this.finishTransition();
+    }
+
+    finishTransition() {
+        clearTimeout(this.transitionTimer);
+        this.transitionTimer = null;
+        this.state = 'idle';
+
+        // Landed on a clone: jump to the real slide it copies. Virtual
+        // sliders also drop the slides they only needed on the way.
+        const position = this.cloneCount + this.currentSlide;
+        if (this.position !== position || this.isVirtual()) {
+            this.position = position;
+            this.render(false);
         }
 
-        return slidesToShow;
+        if (this.pendingChange) {
+            this.pendingChange = false;
+            this.emit('afterChange', { currentSlide: this.selectedSlide });
+        }
+    }
+
+    getMaxSlide() {
+        if (this.wraps() || this.options.fade) return this.totalSlides - 1;
+
+        if (this.options.variableWidth) {
+            // First slide whose offset already scrolls the track to its end
+            const maxOffset = this.getMaxOffset();
+            const index = this.slides.findIndex((slide, i) => this.getSlideOffset(i) >= maxOffset);
+            return index === -1 ? this.totalSlides - 1 : index;
+        }
+
+        return Math.max(0, this.totalSlides - this.getCurrentSlidesToShow());
+    }
+
+    getCurrentSlidesToShow() {
+        return this.options.fade ? 1 : this.options.slidesToShow;
     }
 
     updateDots() {
         if (!this.dots) return;
 
-        const slidesToShow = this.getCurrentSlidesToShow();
-        const activeDot = Math.floor(this.currentSlide / this.options.slidesToScroll);
+        const activeDot = Math.min(Math.floor(this.currentSlide / this.options.slidesToScroll), this.dots.length - 1);
 
         this.dots.forEach((dot, index) => {
             dot.classList.toggle('is-active', index === activeDot);
+            dot.setAttribute('aria-selected', String(index === activeDot));
+            dot.tabIndex = index === activeDot ? 0 : -1;
         });
     }
 
     updateArrows() {
-        if (!this.options.infinite) {
+        if (!this.wraps()) {
             if (this.prevBtn) {
                 this.prevBtn.disabled = this.currentSlide === 0;
             }
@@ -313,22 +1080,14 @@ class Slider {
         }
     }
 
-    updateResponsive() {
-        const slidesToShow = this.getCurrentSlidesToShow();
-        
-        // Recreate dots if needed
-        if (this.dotsContainer) {
-            this.dotsContainer.remove();
-            this.createDots();
-        }
-    }
-
     startAutoplay() {
         if (this.autoplayTimer) return;
 
         this.autoplayTimer = setInterval(() => {
             this.next();
         }, this.options.autoplaySpeed);
+        // Announcing every automatic move would talk over everything else
+        this.status?.setAttribute('aria-live', 'off');
     }
 
     stopAutoplay() {
@@ -336,6 +1095,40 @@ class Slider {
             clearInterval(this.autoplayTimer);
             this.autoplayTimer = null;
         }
+        this.status?.setAttribute('aria-live', 'polite');
+    }
+
+    pauseAutoplay(reason) {
+        this.pausedBy.add(reason);
+        this.updateAutoplay();
+    }
+
+    resumeAutoplay(reason) {
+        this.pausedBy.delete(reason);
+        this.updateAutoplay();
+    }
+
+    toggleAutoplay() {
+        if (this.pausedBy.has('user')) {
+            // Pressing play wins over hover and focus, which the press itself causes
+            this.pausedBy.clear();
+        } else {
+            this.pausedBy.add('user');
+        }
+        this.updateAutoplay();
+    }
+
+    updateAutoplay() {
+        if (this.options.autoplay && this.pausedBy.size === 0) {
+            this.startAutoplay();
+        } else {
+            this.stopAutoplay();
+        }
+        if (!this.toggleBtn) return;
+
+        const isPaused = this.pausedBy.has('user');
+        this.toggleBtn.classList.toggle('is-paused', isPaused);
+        this.toggleBtn.setAttribute('aria-label', isPaused ? 'Start automatic slide show' : 'Stop automatic slide show');
     }
 
     debounce(func, wait) {
@@ -347,18 +1140,42 @@ class Slider {
     }
 
     destroy() {
+        if (this.isReady) this.emit('destroy');
+        if (this.slider) sliderInstances.delete(this.slider);
+        this.teardown();
+    }
+
+    /**
+     * Stops everything and puts the markup back as it was found.
+     */
+    teardown() {
         this.stopAutoplay();
-        
-        if (this.prevBtn) this.prevBtn.remove();
-        if (this.nextBtn) this.nextBtn.remove();
-        if (this.dotsContainer) this.dotsContainer.remove();
+        this.controller.abort();
+        this.controller = new AbortController();
+        if (!this.isReady) return;
+
+        this.isReady = false;
+        clearTimeout(this.transitionTimer);
+        this.state = 'idle';
+        this.removeControls();
+        this.status.remove();
+        this.removeClones();
+        this.restoreSlides();
 
         this.slides.forEach(slide => {
             slide.style.width = '';
-            slide.style.marginRight = '';
+            slide.style.transition = '';
+            slide.classList.remove('is-active', 'is-current');
+            ['role', 'aria-roledescription', 'aria-label', 'inert', 'data-slider-index'].forEach(name => slide.removeAttribute(name));
         });
-
-        this.track.style.width = '';
+        this.generatedIds.forEach(slide => slide.removeAttribute('id'));
+
+        this.slider.classList.remove('slider--fade', 'slider--variable', 'slider--draggable', 'is-dragging');
+        this.slider.removeAttribute('role');
+        this.slider.removeAttribute('aria-roledescription');
+        if (this.addedLabel) this.slider.removeAttribute('aria-label');
+        this.addedLabel = false;
+        this.track.style.gap = '';
         this.track.style.transform = '';
         this.track.style.transition = '';
     }
@@ -381,6 +1198,32 @@ sliderStyles.textContent = `
         flex-shrink: 0;
     }
 
+    .slider--draggable .slider__track {
+        cursor: grab;
+        touch-action: pan-y;
+    }
+
+    .slider.is-dragging .slider__track {
+        cursor: grabbing;
+        user-select: none;
+    }
+
+    .slider--fade .slider__track {
+        display: grid;
+    }
+
+    .slider--fade .slider__slide {
+        grid-area: 1 / 1;
+        opacity: 0;
+        visibility: hidden;
+    }
+
+    .slider--fade .slider__slide.is-active {
+        opacity: 1;
+        visibility: visible;
+        z-index: 1;
+    }
+
     .slider__arrow {
         position: absolute;
         top: 50%;
@@ -418,11 +1261,53 @@ sliderStyles.textContent = `
         right: 10px;
     }
 
+    .slider__controls {
+        display: flex;
+        justify-content: center;
+        align-items: center;
+        gap: 16px;
+        margin-top: 24px;
+    }
+
     .slider__dots {
         display: flex;
         justify-content: center;
         gap: 10px;
-        margin-top: 24px;
+    }
+
+    .slider__toggle {
+        width: 32px;
+        height: 32px;
+        background: var(--color-white, #fff);
+        color: var(--color-primary, #1a5f2a);
+        border: 2px solid var(--color-primary, #1a5f2a);
+        border-radius: 50%;
+        cursor: pointer;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        transition: all 0.3s ease;
+    }
+
+    .slider__toggle:hover {
+        background: var(--color-primary, #1a5f2a);
+        color: var(--color-white, #fff);
+    }
+
+    .slider__toggle-play,
+    .slider__toggle.is-paused .slider__toggle-pause {
+        display: none;
+    }
+
+    .slider__toggle.is-paused .slider__toggle-play {
+        display: block;
+    }
+
+    .slider__arrow:focus-visible,
+    .slider__dot:focus-visible,
+    .slider__toggle:focus-visible {
+        outline: 2px solid var(--color-primary, #1a5f2a);
+        outline-offset: 2px;
     }
 
     .slider__dot {
@@ -450,15 +1335,8 @@ sliderStyles.textContent = `
 `;
 document.head.appendChild(sliderStyles);
 
-// Auto-initialize sliders
-document.addEventListener('DOMContentLoaded', () => {
-    const sliders = document.querySelectorAll('[data-slider]');
-    
-    sliders.forEach(slider => {
-        const options = slider.dataset.slider ? JSON.parse(slider.dataset.slider) : {};
-        new Slider(slider, options);
-    });
-});
+// Auto-initialize sliders (see Components in main.js)
+Components.define('slider', Slider);
 
 // Export for module usage
 if (typeof module !== 'undefined' && module.exports) {
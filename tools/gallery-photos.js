@@ -0,0 +1,168 @@
+/**
+ * ==========================================================================
+ * BASCI Website - Gallery Photo Check
+ * ==========================================================================
+ *
+ * Prepares the photos listed in data/gallery.json for publishing. No
+ * dependencies:
+ *
+ *   node tools/gallery-photos.js
+ *
+ * For every album photo and its thumbnail (`thumbs/` in the album folder):
+ * - strips EXIF, XMP, IPTC and comment segments from the JPEG in place, so
+ *   camera details and GPS locations never reach the site
+ * - warns about photos the camera marked as rotated, since that flag goes
+ *   with the EXIF data: export them upright first
+ * - records the photo's width and height in the manifest, which the grid
+ *   uses to reserve space before the thumbnails load
+ *
+ * Missing files are reported and skipped. Thumbnails themselves are made
+ * with any image editor, about 600px wide.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = path.join(ROOT, 'data', 'gallery.json');
+
+// APP1 (EXIF, XMP), APP13 (IPTC) and comments. JFIF, ICC colour profiles
+// (APP2) and Adobe colour info (APP14) stay.
+const METADATA_MARKERS = new Set([0xE1, 0xED, 0xFE]);
+
+// Start-of-frame markers, which carry the image size
+const FRAME_MARKERS = new Set([0xC0, 0xC1, 0xC2, 0xC3, 0xC5, 0xC6, 0xC7, 0xC9, 0xCA, 0xCB, 0xCD, 0xCE, 0xCF]);
+
+/**
+ * EXIF Orientation (1 is upright), or 1 when the segment has none.
+ */
+function readOrientation(segment) {
+    if (segment.toString('latin1', 4, 10) !== 'Exif\0\0') return 1;
+
+    const tiff = segment.subarray(10);
+    const little = tiff.toString('latin1', 0, 2) === 'II';
+    const read16 = (offset) => (little ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+    const read32 = (offset) => (little ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+    try {
+        const ifd = read32(4);
+        const count = read16(ifd);
+        for (let i = 0; i < count; i++) {
+            const entry = ifd + 2 + i * 12;
+            if (read16(entry) === 0x0112) return read16(entry + 8);
+        }
+    } catch {
+        // Truncated EXIF: nothing to report
+    }
+    return 1;
+}
+
+/**
+ * The JPEG without its metadata segments, plus its size and orientation.
+ */
+function stripJpeg(data) {
+    if (data[0] !== 0xFF || data[1] !== 0xD8) throw new Error('Not a JPEG');
+
+    const kept = [data.subarray(0, 2)];
+    let offset = 2;
+    let width = null;
+    let height = null;
+    let orientation = 1;
+
+    while (offset < data.length) {
+        if (data[offset] !== 0xFF) throw new Error(`Unexpected byte at ${offset}`);
+
+        const marker = data[offset + 1];
+        // Padding before a marker
+        if (marker === 0xFF) {
+            offset += 1;
+            continue;
+        }
+
+        // Start of scan: the compressed image data runs to the end
+        if (marker === 0xDA) {
+            kept.push(data.subarray(offset));
+            break;
+        }
+
+        const length = data.readUInt16BE(offset + 2);
+        const segment = data.subarray(offset, offset + 2 + length);
+
+        if (FRAME_MARKERS.has(marker)) {
+            height = segment.readUInt16BE(5);
+            width = segment.readUInt16BE(7);
+        }
+        if (marker === 0xE1) {
+            orientation = Math.max(orientation, readOrientation(segment));
+        }
+        if (!METADATA_MARKERS.has(marker)) {
+            kept.push(segment);
+        }
+
+        offset += 2 + length;
+    }
+
+    return { data: Buffer.concat(kept), width, height, orientation };
+}
+
+/**
+ * Strips `file` in place. Returns its size, or null if it couldn't be read.
+ */
+function processFile(file) {
+    const relative = path.relative(ROOT, file);
+
+    if (!fs.existsSync(file)) {
+        console.warn(`Missing: ${relative}`);
+        return null;
+    }
+    if (!/\.jpe?g$/i.test(file)) {
+        console.warn(`Skipped (not a JPEG): ${relative}`);
+        return null;
+    }
+
+    try {
+        const original = fs.readFileSync(file);
+        const result = stripJpeg(original);
+
+        if (result.orientation > 1) {
+            console.warn(`Rotated by the camera (orientation ${result.orientation}), export it upright: ${relative}`);
+        }
+        if (result.data.length < original.length) {
+            fs.writeFileSync(file, result.data);
+            console.log(`Stripped ${original.length - result.data.length} bytes of metadata: ${relative}`);
+        }
+        return result;
+    } catch (error) {
+        console.warn(`Could not read ${relative}: ${error.message}`);
+        return null;
+    }
+}
+
+function main() {
+    const manifest = JSON.parse(fs.readFileSync(MANIFEST, 'utf8'));
+    let changed = false;
+
+    manifest.albums.forEach(album => {
+        const folder = path.resolve(path.dirname(MANIFEST), album.path);
+
+        (album.photos || []).forEach(photo => {
+            const size = processFile(path.join(folder, photo.file));
+            processFile(path.join(folder, 'thumbs', photo.file));
+
+            if (size?.width && (size.width !== photo.width || size.height !== photo.height)) {
+                photo.width = size.width;
+                photo.height = size.height;
+                changed = true;
+            }
+        });
+    });
+
+    if (changed) {
+        fs.writeFileSync(MANIFEST, `${JSON.stringify(manifest, null, 4)}\n`);
+        console.log(`Updated photo sizes in ${path.relative(ROOT, MANIFEST)}`);
+    }
+}
+
+main();
@@ -0,0 +1,139 @@
+/**
+ * ==========================================================================
+ * BASCI Website - Local Mock Server
+ * ==========================================================================
+ *
+ * Serves the site and accepts form submissions so the 'post' adapters can be
+ * tried without a real backend. No dependencies:
+ *
+ *   node tools/mock-server.js            # http://localhost:8000
+ *   PORT=3000 node tools/mock-server.js
+ *
+ * POST /api/<collection>  stores the JSON body in memory and returns it with an id
+ * GET  /api/<collection>  lists everything received since the server started
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.env.PORT) || 8000;
+
+// Enough for a membership application with a 5 MB student card as base64
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.svg': 'image/svg+xml',
+    '.mp3': 'audio/mpeg',
+    '.mp4': 'video/mp4',
+};
+
+const collections = new Map();
+
+function sendJSON(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * The request body as text. Bodies over MAX_BODY_BYTES are still read to
+ * the end (so the client gets the 413 reply) but rejected.
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size <= MAX_BODY_BYTES) chunks.push(chunk);
+        });
+        req.on('end', () => {
+            if (size > MAX_BODY_BYTES) {
+                reject(Object.assign(new Error('Payload too large'), { status: 413 }));
+                return;
+            }
+            resolve(Buffer.concat(chunks).toString('utf8'));
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, collection) {
+    if (!collections.has(collection)) collections.set(collection, []);
+    const items = collections.get(collection);
+
+    if (req.method === 'GET') {
+        sendJSON(res, 200, items);
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        sendJSON(res, 405, { error: 'Method not allowed' });
+        return;
+    }
+
+    let body;
+    try {
+        body = JSON.parse(await readBody(req) || '{}');
+    } catch (error) {
+        sendJSON(res, error.status || 400, { error: error.status ? error.message : 'Invalid JSON' });
+        return;
+    }
+
+    const item = { id: body.id || `${collection}-${items.length + 1}`, ...body, receivedAt: new Date().toISOString() };
+    items.push(item);
+    console.log(`[${collection}]`, JSON.stringify(item));
+    sendJSON(res, 201, item);
+}
+
+function serveStatic(req, res, pathname) {
+    let decoded;
+    try {
+        decoded = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch {
+        res.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Bad request');
+        return;
+    }
+
+    const filePath = path.join(ROOT, decoded);
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (error, contents) => {
+        if (error) {
+            res.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' });
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream' });
+        res.end(contents);
+    });
+}
+
+http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, `http://localhost:${PORT}`);
+    const api = /^\/api\/([\w-]+)\/?$/.exec(pathname);
+
+    if (api) {
+        handleApi(req, res, api[1]);
+    } else {
+        serveStatic(req, res, pathname);
+    }
+}).listen(PORT, () => {
+    console.log(`BASCI mock server running at http://localhost:${PORT}`);
+});